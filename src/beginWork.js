@@ -0,0 +1,385 @@
+import {
+  cloneChildFibers,
+  mountChildFibers,
+  reconcileChildFibers,
+} from './childFiber.js';
+import {
+  constructClassInstance,
+  mountClassInstance,
+  resumeMountClassInstance,
+  updateClassInstance,
+} from './classComponent.js';
+import {
+  ClassComponent,
+  ContentReset,
+  ContextConsumer,
+  ContextProvider,
+  DidCapture,
+  ForwardRef,
+  Fragment,
+  FunctionComponent,
+  HostComponent,
+  HostPortal,
+  HostRoot,
+  HostText,
+  includesSomeLane,
+  MemoComponent,
+  NoFlags,
+  NoLanes,
+  Ref,
+} from './constants.js';
+import { createFiberFromTypeAndProps, createWorkInProgress } from './fiber.js';
+import { shouldSetTextContent } from './hostConfig.js';
+import { renderWithHooks } from './hooks.js';
+import {
+  enterHydrationState,
+  tryToClaimNextHydratableInstance,
+} from './hydration.js';
+import {
+  prepareToReadContext,
+  propagateContextChange,
+  pushProvider,
+  readContext,
+  resetContextDependencies,
+} from './newContext.js';
+import { shallowEqual } from './shallowEqual.js';
+import { cloneUpdateQueue, processUpdateQueue } from './updateQueue.js';
+
+/**
+ * 构建current Fiber 节点。不是首次渲染，复用现有节点。是首次渲染，根据 React Element，创建新的Fiber节点。
+ * @param {Fiber|null} current - current Fiber 树中对应的 Fiber 节点，如果是首次渲染则为 null。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ * @param {number} renderLanes - 本次渲染的优先级，优先级不够的更新会被跳过。
+ * @returns {Fiber|null} - 下一个需要处理的子 Fiber 节点，如果没有则返回 null。
+ */
+export function beginWork(current, workInProgress, renderLanes) {
+  // 更新时，props 没有变化并且节点上没有本次需要处理的更新（包括 context 的变化），跳过渲染
+  if (
+    current !== null &&
+    current.memoizedProps === workInProgress.pendingProps &&
+    !includesSomeLane(current.lanes, renderLanes) &&
+    (workInProgress.flags & DidCapture) === NoFlags
+  ) {
+    return attemptEarlyBailoutIfNoUpdate(current, workInProgress, renderLanes);
+  }
+  // 即将处理该节点上的更新，清除它的优先级
+  workInProgress.lanes = NoLanes;
+  // NOTE: 首次渲染
+  // NOTE: 存储下一个需要处理的子节点对应的ReactElement
+  let nextChildren = null;
+  // NOTE: 获取对应的ReactElement，根据 workInProgress 节点的类型进行不同处理
+  switch (workInProgress.tag) {
+    case HostRoot:
+      // 处理根节点的更新队列，计算出最新的 { element }
+      cloneUpdateQueue(current, workInProgress);
+      processUpdateQueue(
+        workInProgress,
+        workInProgress.pendingProps,
+        null,
+        renderLanes
+      );
+      // 获取根节点的对应的ReactElement
+      nextChildren = workInProgress.memoizedState.element;
+      if (workInProgress.flags & DidCapture) {
+        // 渲染出错并且没有错误边界：卸载整棵树
+        forceUnmountCurrentAndReconcile(current, workInProgress, nextChildren);
+        return workInProgress.child;
+      }
+      if (workInProgress.stateNode.isDehydrated) {
+        if (workInProgress.stateNode.forceClientRender) {
+          // 注水失败，改为客户端渲染：提交阶段先清空容器中服务端渲染的内容
+          workInProgress.flags |= ContentReset;
+          break;
+        }
+        // 注水：子节点复用容器中服务端渲染的 DOM，不需要插入
+        enterHydrationState(workInProgress);
+        workInProgress.child = mountChildFibers(
+          workInProgress,
+          null,
+          nextChildren
+        );
+        return workInProgress.child;
+      }
+      break;
+    case HostComponent:
+      // 获取宿主组件的子节点
+      const children = workInProgress.pendingProps.children;
+      // 如果子节点是字符串或数字，并且宿主环境直接把它作为文本内容（例如 DOM），则不处理，
+      // react不会为字符串或数字创建fiber节点（节省内存）
+      nextChildren = shouldSetTextContent(
+        workInProgress.type,
+        workInProgress.pendingProps
+      )
+        ? null
+        : children;
+      if (current === null) {
+        tryToClaimNextHydratableInstance(workInProgress);
+      }
+      markRef(current, workInProgress);
+      break;
+    case HostText:
+      // 文本节点没有子节点
+      if (current === null) {
+        tryToClaimNextHydratableInstance(workInProgress);
+      }
+      break;
+    case Fragment:
+      // Fragment 的 pendingProps 就是它的子节点
+      nextChildren = workInProgress.pendingProps;
+      break;
+    case HostPortal:
+      // Portal 的 pendingProps 就是它的子节点
+      nextChildren = workInProgress.pendingProps;
+      if (current === null) {
+        // 祖先节点插入时不会带上 Portal 的子节点（它们属于另一个容器），首次挂载也要跟踪副作用，
+        // 让子节点打上 Placement，提交阶段插入到 Portal 的容器中
+        resetContextDependencies();
+        workInProgress.child = reconcileChildFibers(
+          workInProgress,
+          null,
+          nextChildren
+        );
+        return workInProgress.child;
+      }
+      break;
+    case ContextProvider: {
+      const context = workInProgress.type._context;
+      const newProps = workInProgress.pendingProps;
+      const newValue = newProps.value;
+      // 子树渲染期间读取到的是这个 Provider 提供的值，completeWork 时恢复
+      pushProvider(context, newValue);
+      const oldProps = workInProgress.memoizedProps;
+      if (oldProps !== null && !Object.is(oldProps.value, newValue)) {
+        // 值发生了变化，通知子树中读取了这个 context 的组件重新渲染
+        propagateContextChange(workInProgress, context, renderLanes);
+      }
+      nextChildren = newProps.children;
+      break;
+    }
+    case ContextConsumer: {
+      // Consumer 的子节点是一个函数，参数为 context 的当前值
+      const render = workInProgress.pendingProps.children;
+      prepareToReadContext(workInProgress);
+      const newValue = readContext(workInProgress.type);
+      nextChildren = render(newValue);
+      break;
+    }
+    case FunctionComponent:
+      // 重新收集组件读取的 context
+      prepareToReadContext(workInProgress);
+      // NOTE: 调用函数（渲染期间可以使用 hooks），获取ReactElement
+      nextChildren = renderWithHooks(
+        current,
+        workInProgress,
+        workInProgress.type,
+        workInProgress.pendingProps,
+        undefined,
+        renderLanes
+      );
+      break;
+    case ForwardRef:
+      prepareToReadContext(workInProgress);
+      // 调用 forwardRef 包装的渲染函数，ref 作为第二个参数传入
+      nextChildren = renderWithHooks(
+        current,
+        workInProgress,
+        workInProgress.type.render,
+        workInProgress.pendingProps,
+        workInProgress.ref,
+        renderLanes
+      );
+      break;
+    case ClassComponent: {
+      const nextProps = workInProgress.pendingProps;
+      // 重新收集组件读取的 context（static contextType）
+      prepareToReadContext(workInProgress);
+      let shouldUpdate = true;
+      // 如果是首次渲染
+      if (workInProgress.stateNode === null) {
+        // 创建类组件的实例，并将实例与 Fiber 节点关联
+        constructClassInstance(workInProgress, workInProgress.type, nextProps);
+        // 初始化更新队列，执行 getDerivedStateFromProps，同步实例的 props 和 state
+        mountClassInstance(workInProgress, nextProps);
+      } else if (current === null) {
+        // 首次挂载时子树出错，作为错误边界重新渲染
+        resumeMountClassInstance(workInProgress, nextProps, renderLanes);
+      } else {
+        // 处理更新队列，合并状态，并根据 shouldComponentUpdate 判断是否需要重新渲染
+        shouldUpdate = updateClassInstance(
+          current,
+          workInProgress,
+          nextProps,
+          renderLanes
+        );
+      }
+      markRef(current, workInProgress);
+      const didCaptureError = (workInProgress.flags & DidCapture) !== 0;
+      if (!shouldUpdate && !didCaptureError) {
+        // 不需要重新渲染，直接复用老的子节点
+        resetContextDependencies();
+        return bailoutOnAlreadyFinishedWork(
+          current,
+          workInProgress,
+          renderLanes
+        );
+      }
+      if (
+        didCaptureError &&
+        typeof workInProgress.type.getDerivedStateFromError !== 'function'
+      ) {
+        // 只定义了 componentDidCatch 的错误边界：先卸载子节点，等 componentDidCatch 中 setState 渲染错误状态
+        nextChildren = null;
+      } else {
+        // NOTE: 调用实例的 render 方法，获取ReactElement
+        nextChildren = workInProgress.stateNode.render();
+      }
+      if (current !== null && didCaptureError) {
+        // 捕获了错误的错误边界：不复用出错的子节点，卸载全部老的子节点后重新创建
+        resetContextDependencies();
+        forceUnmountCurrentAndReconcile(current, workInProgress, nextChildren);
+        return workInProgress.child;
+      }
+      break;
+    }
+    case MemoComponent:
+      return updateMemoComponent(current, workInProgress, renderLanes);
+    default:
+      throw new Error(`未知的 Fiber 类型：${workInProgress.tag}。`);
+  }
+  // 组件渲染结束，之后不能再读取 context
+  resetContextDependencies();
+
+  // NOTE: 协调子节点，根据 nextChildren（React 元素、文本或数组）创建子 Fiber 链表。完善节点之间的关系。
+  reconcileChildren(current, workInProgress, nextChildren);
+
+  // 返回下一个需要处理的子 Fiber 节点
+  return workInProgress.child;
+}
+
+/**
+ * 节点本身不需要重新渲染时调用：提前返回之前，补上渲染时需要压入的 context，completeWork 时会弹出。
+ * @param {Fiber} current - current Fiber 节点。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ * @returns {Fiber|null} - 下一个需要处理的子 Fiber 节点。
+ */
+function attemptEarlyBailoutIfNoUpdate(current, workInProgress, renderLanes) {
+  if (workInProgress.tag === ContextProvider) {
+    pushProvider(
+      workInProgress.type._context,
+      workInProgress.memoizedProps.value
+    );
+  }
+  return bailoutOnAlreadyFinishedWork(current, workInProgress, renderLanes);
+}
+
+/**
+ * 跳过节点的渲染：子树中也没有本次需要处理的更新（childLanes）时跳过整个子树，
+ * 否则直接复用老的子节点，继续向下处理子树中有更新的节点。
+ * @param {Fiber} current - current Fiber 节点。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ * @returns {Fiber|null} - 下一个需要处理的子 Fiber 节点，跳过整个子树时返回 null。
+ */
+function bailoutOnAlreadyFinishedWork(current, workInProgress, renderLanes) {
+  if (!includesSomeLane(renderLanes, workInProgress.childLanes)) {
+    return null;
+  }
+  cloneChildFibers(current, workInProgress);
+  return workInProgress.child;
+}
+
+/**
+ * 处理 React.memo 包装的组件：它的子节点就是被包装的组件，props 原样传给子节点。
+ * 更新时如果 memo 节点上没有待处理的更新，并且新老 props 比较相等、ref 没有变化，跳过被包装组件的渲染。
+ * @param {Fiber|null} current - current Fiber 节点。
+ * @param {Fiber} workInProgress - memo 对应的 Fiber 节点。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ * @returns {Fiber|null} - 下一个需要处理的子 Fiber 节点。
+ */
+function updateMemoComponent(current, workInProgress, renderLanes) {
+  const Component = workInProgress.type;
+  const nextProps = workInProgress.pendingProps;
+  if (current === null) {
+    const child = createFiberFromTypeAndProps(Component.type, null, nextProps);
+    child.ref = workInProgress.ref;
+    child.return = workInProgress;
+    workInProgress.child = child;
+    return child;
+  }
+  const currentChild = current.child;
+  if (!includesSomeLane(current.lanes, renderLanes)) {
+    const compare =
+      Component.compare !== null ? Component.compare : shallowEqual;
+    if (
+      compare(currentChild.memoizedProps, nextProps) &&
+      current.ref === workInProgress.ref
+    ) {
+      return bailoutOnAlreadyFinishedWork(current, workInProgress, renderLanes);
+    }
+  }
+  // props 发生变化，使用新的 props 渲染被包装的组件
+  const newChild = createWorkInProgress(currentChild, nextProps);
+  newChild.ref = workInProgress.ref;
+  newChild.return = workInProgress;
+  workInProgress.child = newChild;
+  return newChild;
+}
+
+/**
+ * 首次挂载带有 ref 的节点，或者 ref 发生变化时，打上 Ref 标记，提交阶段更新 ref。
+ * @param {Fiber|null} current - current Fiber 节点。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ */
+function markRef(current, workInProgress) {
+  const ref = workInProgress.ref;
+  if (
+    (current === null && ref !== null) ||
+    (current !== null && current.ref !== ref)
+  ) {
+    workInProgress.flags |= Ref;
+  }
+}
+
+/**
+ * 删除全部老的子节点，再把 nextChildren 当作首次渲染的子节点创建，不与老的子节点比较。
+ * @param {Fiber} current - current Fiber 节点。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ * @param {*} nextChildren - 新的子节点。
+ */
+function forceUnmountCurrentAndReconcile(
+  current,
+  workInProgress,
+  nextChildren
+) {
+  workInProgress.child = reconcileChildFibers(
+    workInProgress,
+    current.child,
+    null
+  );
+  workInProgress.child = reconcileChildFibers(
+    workInProgress,
+    null,
+    nextChildren
+  );
+}
+
+/**
+ * 协调子节点。首次渲染时直接创建子 Fiber 链表；更新时与 current 的子 Fiber 比较，复用、移动或删除节点。
+ * @param {Fiber|null} current - current Fiber 树中对应的 Fiber 节点，如果是首次渲染则为 null。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ * @param {*} nextChildren - 新的子节点（React 元素、文本或数组）。
+ */
+function reconcileChildren(current, workInProgress, nextChildren) {
+  if (current === null) {
+    // 首次渲染：整棵子树会随祖先节点一起插入，不需要跟踪副作用
+    workInProgress.child = mountChildFibers(workInProgress, null, nextChildren);
+  } else {
+    // 更新：diff 新老子节点，标记 Placement 并收集 deletions
+    workInProgress.child = reconcileChildFibers(
+      workInProgress,
+      current.child,
+      nextChildren
+    );
+  }
+}
@@ -0,0 +1,134 @@
+import { enqueueStateRestore } from './controlledComponent.js';
+import { registerTwoPhaseEvent } from './eventRegistry.js';
+import { updateValueIfChanged } from './inputValueTracking.js';
+import { accumulateTwoPhaseListeners } from './listenToAllEvents.js';
+import { SyntheticEvent } from './syntheticEvent.js';
+
+/**
+ * onChange 插件：与原生 change 事件不同，React 的 onChange 在输入框的值每次变化时都会触发。
+ * - 文本输入框、textarea：input 事件（以及 change 事件）
+ * - 复选框、单选框：click 事件
+ * - select、文件输入框：change 事件
+ * 通过 inputValueTracking 记录的值判断值是否真的发生了变化，避免重复触发。
+ */
+
+export function registerEvents() {
+  registerTwoPhaseEvent('onChange', ['change', 'click', 'input']);
+}
+
+// 会触发 input 事件的输入框类型
+const supportedInputTypes = {
+  color: true,
+  date: true,
+  datetime: true,
+  'datetime-local': true,
+  email: true,
+  month: true,
+  number: true,
+  password: true,
+  range: true,
+  search: true,
+  tel: true,
+  text: true,
+  time: true,
+  url: true,
+  week: true,
+};
+
+function isTextInputElement(elem) {
+  const nodeName = elem && elem.nodeName && elem.nodeName.toLowerCase();
+  if (nodeName === 'input') {
+    return !!supportedInputTypes[elem.type];
+  }
+  return nodeName === 'textarea';
+}
+
+function shouldUseChangeEvent(elem) {
+  const nodeName = elem.nodeName && elem.nodeName.toLowerCase();
+  return (
+    nodeName === 'select' || (nodeName === 'input' && elem.type === 'file')
+  );
+}
+
+function shouldUseClickEvent(elem) {
+  const nodeName = elem.nodeName;
+  return (
+    nodeName &&
+    nodeName.toLowerCase() === 'input' &&
+    (elem.type === 'checkbox' || elem.type === 'radio')
+  );
+}
+
+function getInstIfValueChanged(targetInst) {
+  const targetNode = targetInst.stateNode;
+  if (updateValueIfChanged(targetNode)) {
+    return targetInst;
+  }
+}
+
+function getTargetInstForChangeEvent(domEventName, targetInst) {
+  if (domEventName === 'change') {
+    return targetInst;
+  }
+}
+
+function getTargetInstForInputOrChangeEvent(domEventName, targetInst) {
+  if (domEventName === 'input' || domEventName === 'change') {
+    return getInstIfValueChanged(targetInst);
+  }
+}
+
+function getTargetInstForClickEvent(domEventName, targetInst) {
+  if (domEventName === 'click') {
+    return getInstIfValueChanged(targetInst);
+  }
+}
+
+/**
+ * 从原生事件中提取出 onChange 事件，加入分发队列。只在冒泡阶段处理，一次收集捕获和冒泡两个阶段的监听器。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {string} domEventName - 原生事件名。
+ * @param {Fiber|null} targetInst - 触发事件的 DOM 元素对应的 Fiber 节点。
+ * @param {Event} nativeEvent - 原生 DOM 事件对象。
+ * @param {EventTarget} nativeEventTarget - 触发事件的 DOM 元素。
+ */
+export function extractEvents(
+  dispatchQueue,
+  domEventName,
+  targetInst,
+  nativeEvent,
+  nativeEventTarget
+) {
+  if (targetInst === null) {
+    return;
+  }
+  const targetNode = targetInst.stateNode;
+  let getTargetInstFunc;
+  if (shouldUseChangeEvent(targetNode)) {
+    getTargetInstFunc = getTargetInstForChangeEvent;
+  } else if (isTextInputElement(targetNode)) {
+    getTargetInstFunc = getTargetInstForInputOrChangeEvent;
+  } else if (shouldUseClickEvent(targetNode)) {
+    getTargetInstFunc = getTargetInstForClickEvent;
+  }
+  if (!getTargetInstFunc) {
+    return;
+  }
+  const inst = getTargetInstFunc(domEventName, targetInst);
+  if (!inst) {
+    return;
+  }
+  // 事件分发结束后，受控组件的值需要恢复为 props 中的值
+  enqueueStateRestore(nativeEventTarget);
+  const listeners = accumulateTwoPhaseListeners(inst, 'onChange');
+  if (listeners.length > 0) {
+    const event = new SyntheticEvent(
+      'onChange',
+      'change',
+      null,
+      nativeEvent,
+      nativeEventTarget
+    );
+    dispatchQueue.push({ event, listeners });
+  }
+}
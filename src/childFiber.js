@@ -0,0 +1,616 @@
+import {
+  ChildDeletion,
+  Fragment,
+  HostPortal,
+  HostText,
+  Placement,
+  REACT_ELEMENT,
+  REACT_FRAGMENT,
+  REACT_PORTAL,
+} from './constants.js';
+import {
+  createFiberFromElement,
+  createFiberFromFragment,
+  createFiberFromPortal,
+  createFiberFromText,
+  createWorkInProgress,
+} from './fiber.js';
+
+/**
+ * 判断子节点是否是需要创建文本 Fiber 的字符串或数字。
+ * @param {*} child - 子节点。
+ * @returns {boolean}
+ */
+function isTextChild(child) {
+  return (
+    (typeof child === 'string' && child !== '') || typeof child === 'number'
+  );
+}
+
+/**
+ * 判断子节点是否是 React 元素。
+ * @param {*} child - 子节点。
+ * @returns {boolean}
+ */
+function isElementChild(child) {
+  return (
+    typeof child === 'object' &&
+    child !== null &&
+    child.$$typeof === REACT_ELEMENT
+  );
+}
+
+/**
+ * 判断子节点是否是 createPortal 创建的 Portal。
+ * @param {*} child - 子节点。
+ * @returns {boolean}
+ */
+function isPortalChild(child) {
+  return (
+    typeof child === 'object' &&
+    child !== null &&
+    child.$$typeof === REACT_PORTAL
+  );
+}
+
+/**
+ * 创建子节点协调器。
+ * 首次挂载时整棵新子树会随父节点一次性插入，不需要为每个子节点标记副作用；
+ * 更新时则需要跟踪副作用：给新增、移动的节点打上 Placement，把删除的节点收集到父节点的 deletions 中。
+ * @param {boolean} shouldTrackSideEffects - 是否跟踪副作用（更新时为 true，首次挂载时为 false）。
+ * @returns {Function} - 协调子节点的函数 reconcileChildFibers。
+ */
+function createChildReconciler(shouldTrackSideEffects) {
+  /**
+   * 将老的子 Fiber 标记为删除，收集到父 Fiber 的 deletions 中，提交阶段统一删除。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {FiberNode} childToDelete - 需要删除的老子 Fiber 节点。
+   */
+  function deleteChild(returnFiber, childToDelete) {
+    if (!shouldTrackSideEffects) {
+      return;
+    }
+    const deletions = returnFiber.deletions;
+    if (deletions === null) {
+      returnFiber.deletions = [childToDelete];
+      returnFiber.flags |= ChildDeletion;
+    } else {
+      deletions.push(childToDelete);
+    }
+  }
+
+  /**
+   * 从 currentFirstChild 开始，将剩余的老子 Fiber 全部标记为删除。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {FiberNode|null} currentFirstChild - 第一个需要删除的老子 Fiber 节点。
+   * @returns {null}
+   */
+  function deleteRemainingChildren(returnFiber, currentFirstChild) {
+    if (!shouldTrackSideEffects) {
+      return null;
+    }
+    let childToDelete = currentFirstChild;
+    while (childToDelete !== null) {
+      deleteChild(returnFiber, childToDelete);
+      childToDelete = childToDelete.sibling;
+    }
+    return null;
+  }
+
+  /**
+   * 把剩余的老子 Fiber 放入 Map 中，有 key 的用 key 作为键，没有 key 的用 index 作为键，方便按 key 复用。
+   * @param {FiberNode} currentFirstChild - 第一个剩余的老子 Fiber 节点。
+   * @returns {Map<string|number, FiberNode>}
+   */
+  function mapRemainingChildren(currentFirstChild) {
+    const existingChildren = new Map();
+    let existingChild = currentFirstChild;
+    while (existingChild !== null) {
+      if (existingChild.key !== null) {
+        existingChildren.set(existingChild.key, existingChild);
+      } else {
+        existingChildren.set(existingChild.index, existingChild);
+      }
+      existingChild = existingChild.sibling;
+    }
+    return existingChildren;
+  }
+
+  /**
+   * 复用老的 Fiber 节点，基于它创建（或复用）workInProgress 节点。
+   * @param {FiberNode} fiber - 被复用的老 Fiber 节点。
+   * @param {*} pendingProps - 新的属性。
+   * @returns {FiberNode} - 复用得到的 workInProgress 节点。
+   */
+  function useFiber(fiber, pendingProps) {
+    const clone = createWorkInProgress(fiber, pendingProps);
+    clone.index = 0;
+    clone.sibling = null;
+    return clone;
+  }
+
+  /**
+   * 确定新 Fiber 的位置，判断它是否需要移动或插入。
+   * lastPlacedIndex 是最后一个不需要移动的老节点的索引：
+   * 若复用的老节点索引小于它，说明节点在新列表中被挪到了后面，需要移动；否则保持不动。
+   * @param {FiberNode} newFiber - 新的子 Fiber 节点。
+   * @param {number} lastPlacedIndex - 最后一个不需要移动的老节点索引。
+   * @param {number} newIndex - 新 Fiber 在新列表中的索引。
+   * @returns {number} - 新的 lastPlacedIndex。
+   */
+  function placeChild(newFiber, lastPlacedIndex, newIndex) {
+    newFiber.index = newIndex;
+    if (!shouldTrackSideEffects) {
+      return lastPlacedIndex;
+    }
+    const current = newFiber.alternate;
+    if (current !== null) {
+      const oldIndex = current.index;
+      if (oldIndex < lastPlacedIndex) {
+        // 需要移动
+        newFiber.flags |= Placement;
+        return lastPlacedIndex;
+      }
+      // 保持在原位置
+      return oldIndex;
+    }
+    // 新插入的节点
+    newFiber.flags |= Placement;
+    return lastPlacedIndex;
+  }
+
+  /**
+   * 单个子节点的插入：新创建的节点需要标记 Placement。
+   * @param {FiberNode} newFiber - 新的子 Fiber 节点。
+   * @returns {FiberNode}
+   */
+  function placeSingleChild(newFiber) {
+    if (shouldTrackSideEffects && newFiber.alternate === null) {
+      newFiber.flags |= Placement;
+    }
+    return newFiber;
+  }
+
+  /**
+   * 根据子节点（React 元素、字符串、数字或嵌套数组）创建新的 Fiber 节点。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {*} newChild - 子节点。
+   * @returns {FiberNode|null} - 新的 Fiber 节点；无法渲染的子节点（null、布尔值等）返回 null。
+   */
+  function createChild(returnFiber, newChild) {
+    if (isTextChild(newChild)) {
+      const created = createFiberFromText(`${newChild}`);
+      created.return = returnFiber;
+      return created;
+    }
+    if (isElementChild(newChild)) {
+      const created = createFiberFromElement(newChild);
+      created.return = returnFiber;
+      return created;
+    }
+    if (isPortalChild(newChild)) {
+      const created = createFiberFromPortal(newChild);
+      created.return = returnFiber;
+      return created;
+    }
+    if (Array.isArray(newChild)) {
+      // 嵌套数组作为一个没有 key 的 Fragment，数组中的 key 只在它内部比较
+      const created = createFiberFromFragment(newChild, null);
+      created.return = returnFiber;
+      return created;
+    }
+    return null;
+  }
+
+  /**
+   * 更新文本节点：类型相同则复用老 Fiber，否则创建新的文本 Fiber。
+   */
+  function updateTextNode(returnFiber, current, textContent) {
+    if (current === null || current.tag !== HostText) {
+      const created = createFiberFromText(textContent);
+      created.return = returnFiber;
+      return created;
+    }
+    const existing = useFiber(current, textContent);
+    existing.return = returnFiber;
+    return existing;
+  }
+
+  /**
+   * 更新 Fragment 节点：老节点也是 Fragment 则复用，否则创建新的 Fragment Fiber。
+   */
+  function updateFragment(returnFiber, current, fragment, key) {
+    if (current === null || current.tag !== Fragment) {
+      const created = createFiberFromFragment(fragment, key);
+      created.return = returnFiber;
+      return created;
+    }
+    const existing = useFiber(current, fragment);
+    existing.return = returnFiber;
+    return existing;
+  }
+
+  /**
+   * 更新 Portal 节点：老节点是挂载到同一个容器的 Portal 则复用，否则创建新的 Portal Fiber。
+   */
+  function updatePortal(returnFiber, current, portal) {
+    if (
+      current === null ||
+      current.tag !== HostPortal ||
+      current.stateNode.container !== portal.containerInfo
+    ) {
+      const created = createFiberFromPortal(portal);
+      created.return = returnFiber;
+      return created;
+    }
+    const existing = useFiber(current, portal.children || []);
+    existing.return = returnFiber;
+    return existing;
+  }
+
+  /**
+   * 更新元素节点：type 相同则复用老 Fiber，否则创建新的 Fiber。
+   */
+  function updateElement(returnFiber, current, element) {
+    if (element.type === REACT_FRAGMENT) {
+      return updateFragment(
+        returnFiber,
+        current,
+        element.props.children,
+        element.key
+      );
+    }
+    if (current !== null && current.type === element.type) {
+      const existing = useFiber(current, element.props);
+      existing.ref = element.ref;
+      existing.return = returnFiber;
+      return existing;
+    }
+    const created = createFiberFromElement(element);
+    created.return = returnFiber;
+    return created;
+  }
+
+  /**
+   * 按位置比较新老子节点：key 相同则尝试复用，key 不同返回 null，交给后续的 Map 查找处理。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {FiberNode|null} oldFiber - 同一位置的老 Fiber 节点。
+   * @param {*} newChild - 新的子节点。
+   * @returns {FiberNode|null}
+   */
+  function updateSlot(returnFiber, oldFiber, newChild) {
+    const key = oldFiber !== null ? oldFiber.key : null;
+    if (isTextChild(newChild)) {
+      // 文本节点没有 key，若老节点有 key 则无法复用
+      if (key !== null) {
+        return null;
+      }
+      return updateTextNode(returnFiber, oldFiber, `${newChild}`);
+    }
+    if (isElementChild(newChild)) {
+      if (newChild.key === key) {
+        return updateElement(returnFiber, oldFiber, newChild);
+      }
+      return null;
+    }
+    if (isPortalChild(newChild)) {
+      if (newChild.key === key) {
+        return updatePortal(returnFiber, oldFiber, newChild);
+      }
+      return null;
+    }
+    if (Array.isArray(newChild)) {
+      // 嵌套数组对应的 Fragment 没有 key
+      if (key !== null) {
+        return null;
+      }
+      return updateFragment(returnFiber, oldFiber, newChild, null);
+    }
+    // null、布尔值等空位：不创建 Fiber，交给后续的 Map 查找处理
+    return null;
+  }
+
+  /**
+   * 从 Map 中查找可以复用的老 Fiber 节点，并据此创建新的 Fiber 节点。
+   * @param {Map} existingChildren - 剩余的老子 Fiber 节点。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {number} newIdx - 新子节点的索引。
+   * @param {*} newChild - 新的子节点。
+   * @returns {FiberNode|null}
+   */
+  function updateFromMap(existingChildren, returnFiber, newIdx, newChild) {
+    if (isTextChild(newChild)) {
+      const matchedFiber = existingChildren.get(newIdx) || null;
+      return updateTextNode(returnFiber, matchedFiber, `${newChild}`);
+    }
+    if (isElementChild(newChild)) {
+      const matchedFiber =
+        existingChildren.get(newChild.key === null ? newIdx : newChild.key) ||
+        null;
+      return updateElement(returnFiber, matchedFiber, newChild);
+    }
+    if (isPortalChild(newChild)) {
+      const matchedFiber =
+        existingChildren.get(newChild.key === null ? newIdx : newChild.key) ||
+        null;
+      return updatePortal(returnFiber, matchedFiber, newChild);
+    }
+    if (Array.isArray(newChild)) {
+      const matchedFiber = existingChildren.get(newIdx) || null;
+      return updateFragment(returnFiber, matchedFiber, newChild, null);
+    }
+    return null;
+  }
+
+  /**
+   * 协调数组类型的子节点（多节点 diff）。
+   * 第一轮：按位置逐个比较，key 相同则复用，遇到 key 不同时跳出；
+   * 若新节点遍历完，删除剩余老节点；若老节点遍历完，剩余新节点全部插入；
+   * 第二轮：将剩余老节点放入 Map，按 key（或 index）查找复用，根据 lastPlacedIndex 判断是否需要移动，
+   * 最后删除 Map 中没有被复用的老节点。
+   * null、布尔值等不渲染的子节点不创建 Fiber，但仍然占据一个索引，条件渲染的节点出现或消失时，后面的兄弟节点位置不变；
+   * 嵌套数组作为一个 Fragment 子节点，拥有独立的 key 空间。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {FiberNode|null} currentFirstChild - 第一个老子 Fiber 节点。
+   * @param {Array} newChildren - 子节点数组，可能包含嵌套数组、文本、React 元素和空位。
+   * @returns {FiberNode|null} - 第一个新子 Fiber 节点。
+   */
+  function reconcileChildrenArray(returnFiber, currentFirstChild, newChildren) {
+    // 第一个子 Fiber 节点，作为返回值挂到父节点的 child 上
+    let resultingFirstChild = null;
+    // 上一个新的 Fiber 节点，用于连接 sibling
+    let previousNewFiber = null;
+    // 当前比较的老 Fiber 节点
+    let oldFiber = currentFirstChild;
+    // 老 Fiber 的下一个节点
+    let nextOldFiber = null;
+    // 最后一个不需要移动的老节点的索引
+    let lastPlacedIndex = 0;
+    // 新子节点的索引
+    let newIdx = 0;
+
+    // 第一轮：按位置比较
+    for (; oldFiber !== null && newIdx < newChildren.length; newIdx++) {
+      if (oldFiber.index > newIdx) {
+        nextOldFiber = oldFiber;
+        oldFiber = null;
+      } else {
+        nextOldFiber = oldFiber.sibling;
+      }
+      const newFiber = updateSlot(returnFiber, oldFiber, newChildren[newIdx]);
+      if (newFiber === null) {
+        // key 不同或者是空位，跳出第一轮
+        if (oldFiber === null) {
+          oldFiber = nextOldFiber;
+        }
+        break;
+      }
+      if (shouldTrackSideEffects && oldFiber && newFiber.alternate === null) {
+        // 同一位置 type 不同，创建了新节点，删除老节点
+        deleteChild(returnFiber, oldFiber);
+      }
+      lastPlacedIndex = placeChild(newFiber, lastPlacedIndex, newIdx);
+      if (previousNewFiber === null) {
+        resultingFirstChild = newFiber;
+      } else {
+        previousNewFiber.sibling = newFiber;
+      }
+      previousNewFiber = newFiber;
+      oldFiber = nextOldFiber;
+    }
+
+    // 新节点遍历完：删除剩余的老节点
+    if (newIdx === newChildren.length) {
+      deleteRemainingChildren(returnFiber, oldFiber);
+      return resultingFirstChild;
+    }
+
+    // 老节点遍历完：剩余的新节点全部插入
+    if (oldFiber === null) {
+      for (; newIdx < newChildren.length; newIdx++) {
+        const newFiber = createChild(returnFiber, newChildren[newIdx]);
+        if (newFiber === null) {
+          continue;
+        }
+        lastPlacedIndex = placeChild(newFiber, lastPlacedIndex, newIdx);
+        if (previousNewFiber === null) {
+          resultingFirstChild = newFiber;
+        } else {
+          previousNewFiber.sibling = newFiber;
+        }
+        previousNewFiber = newFiber;
+      }
+      return resultingFirstChild;
+    }
+
+    // 第二轮：通过 key 查找可以复用的老节点
+    const existingChildren = mapRemainingChildren(oldFiber);
+    for (; newIdx < newChildren.length; newIdx++) {
+      const newFiber = updateFromMap(
+        existingChildren,
+        returnFiber,
+        newIdx,
+        newChildren[newIdx]
+      );
+      if (newFiber === null) {
+        continue;
+      }
+      if (shouldTrackSideEffects && newFiber.alternate !== null) {
+        // 复用了老节点，从 Map 中移除，避免被删除
+        existingChildren.delete(newFiber.key === null ? newIdx : newFiber.key);
+      }
+      lastPlacedIndex = placeChild(newFiber, lastPlacedIndex, newIdx);
+      if (previousNewFiber === null) {
+        resultingFirstChild = newFiber;
+      } else {
+        previousNewFiber.sibling = newFiber;
+      }
+      previousNewFiber = newFiber;
+    }
+
+    // Map 中剩余的老节点没有被复用，全部删除
+    if (shouldTrackSideEffects) {
+      existingChildren.forEach((child) => deleteChild(returnFiber, child));
+    }
+
+    return resultingFirstChild;
+  }
+
+  /**
+   * 协调单个文本子节点：第一个老节点是文本则复用，否则删除全部老节点并创建新的文本 Fiber。
+   */
+  function reconcileSingleTextNode(
+    returnFiber,
+    currentFirstChild,
+    textContent
+  ) {
+    if (currentFirstChild !== null && currentFirstChild.tag === HostText) {
+      deleteRemainingChildren(returnFiber, currentFirstChild.sibling);
+      const existing = useFiber(currentFirstChild, textContent);
+      existing.return = returnFiber;
+      return existing;
+    }
+    deleteRemainingChildren(returnFiber, currentFirstChild);
+    const created = createFiberFromText(textContent);
+    created.return = returnFiber;
+    return created;
+  }
+
+  /**
+   * 协调单个元素子节点（单节点 diff）：
+   * 在老子节点中查找 key 相同的节点，key 和 type 都相同则复用并删除其余老节点；
+   * key 相同但 type 不同则删除全部老节点；key 不同则删除该老节点继续查找。
+   */
+  function reconcileSingleElement(returnFiber, currentFirstChild, element) {
+    const key = element.key;
+    let child = currentFirstChild;
+    const isFragment = element.type === REACT_FRAGMENT;
+    while (child !== null) {
+      if (child.key === key) {
+        if (isFragment ? child.tag === Fragment : child.type === element.type) {
+          deleteRemainingChildren(returnFiber, child.sibling);
+          // Fragment Fiber 的 pendingProps 是它的子节点
+          const existing = useFiber(
+            child,
+            isFragment ? element.props.children : element.props
+          );
+          if (!isFragment) {
+            existing.ref = element.ref;
+          }
+          existing.return = returnFiber;
+          return existing;
+        }
+        deleteRemainingChildren(returnFiber, child);
+        break;
+      } else {
+        deleteChild(returnFiber, child);
+      }
+      child = child.sibling;
+    }
+    const created = createFiberFromElement(element);
+    created.return = returnFiber;
+    return created;
+  }
+
+  /**
+   * 协调单个 Portal 子节点：key 相同且挂载到同一个容器的老 Portal 可以复用，其余老节点删除。
+   */
+  function reconcileSinglePortal(returnFiber, currentFirstChild, portal) {
+    const key = portal.key;
+    let child = currentFirstChild;
+    while (child !== null) {
+      if (child.key === key) {
+        if (
+          child.tag === HostPortal &&
+          child.stateNode.container === portal.containerInfo
+        ) {
+          deleteRemainingChildren(returnFiber, child.sibling);
+          const existing = useFiber(child, portal.children || []);
+          existing.return = returnFiber;
+          return existing;
+        }
+        deleteRemainingChildren(returnFiber, child);
+        break;
+      } else {
+        deleteChild(returnFiber, child);
+      }
+      child = child.sibling;
+    }
+    const created = createFiberFromPortal(portal);
+    created.return = returnFiber;
+    return created;
+  }
+
+  /**
+   * 协调子节点：将 React 元素、文本或（嵌套）数组与老的子 Fiber 进行比较，生成新的子 Fiber 链表。
+   * 第一个子节点挂在父节点的 child 上，其余子节点通过 sibling 依次相连。
+   * @param {FiberNode} returnFiber - 父 Fiber 节点。
+   * @param {FiberNode|null} currentFirstChild - 第一个老子 Fiber 节点，首次挂载时为 null。
+   * @param {*} newChild - 新的子节点，可以是 React 元素、字符串、数字或数组。
+   * @returns {FiberNode|null} - 第一个新子 Fiber 节点，没有可渲染的子节点时返回 null。
+   */
+  function reconcileChildFibers(returnFiber, currentFirstChild, newChild) {
+    // 没有 key 的顶层 Fragment（例如组件直接返回 <>...</>）不创建 Fiber，直接协调它的子节点
+    if (
+      isElementChild(newChild) &&
+      newChild.type === REACT_FRAGMENT &&
+      newChild.key === null
+    ) {
+      newChild = newChild.props.children;
+    }
+    if (isElementChild(newChild)) {
+      return placeSingleChild(
+        reconcileSingleElement(returnFiber, currentFirstChild, newChild)
+      );
+    }
+    if (isPortalChild(newChild)) {
+      return placeSingleChild(
+        reconcileSinglePortal(returnFiber, currentFirstChild, newChild)
+      );
+    }
+    if (Array.isArray(newChild)) {
+      return reconcileChildrenArray(returnFiber, currentFirstChild, newChild);
+    }
+    if (isTextChild(newChild)) {
+      return placeSingleChild(
+        reconcileSingleTextNode(returnFiber, currentFirstChild, `${newChild}`)
+      );
+    }
+    // 其他情况（null、布尔值等）：删除全部老子节点
+    return deleteRemainingChildren(returnFiber, currentFirstChild);
+  }
+
+  return reconcileChildFibers;
+}
+
+// 更新时使用，跟踪副作用
+export const reconcileChildFibers = createChildReconciler(true);
+// 首次挂载时使用，不跟踪副作用
+export const mountChildFibers = createChildReconciler(false);
+
+/**
+ * 组件跳过渲染时，直接复用 current 的子 Fiber 链表：为每个子节点创建 workInProgress 副本，props 保持不变。
+ * @param {FiberNode|null} current - current Fiber 节点。
+ * @param {FiberNode} workInProgress - 跳过渲染的 Fiber 节点。
+ */
+export function cloneChildFibers(current, workInProgress) {
+  if (current !== null && workInProgress.child !== current.child) {
+    throw new Error('子节点已经发生变化，无法复用。');
+  }
+  let currentChild = workInProgress.child;
+  if (currentChild === null) {
+    return;
+  }
+  let newChild = createWorkInProgress(currentChild, currentChild.pendingProps);
+  workInProgress.child = newChild;
+  newChild.return = workInProgress;
+  while (currentChild.sibling !== null) {
+    currentChild = currentChild.sibling;
+    newChild = newChild.sibling = createWorkInProgress(
+      currentChild,
+      currentChild.pendingProps
+    );
+    newChild.return = workInProgress;
+  }
+  newChild.sibling = null;
+}
@@ -0,0 +1,237 @@
+import { NoLanes, Snapshot, Update } from './constants.js';
+import { readContext } from './newContext.js';
+import { shallowEqual } from './shallowEqual.js';
+import {
+  checkHasForceUpdateAfterProcessing,
+  cloneUpdateQueue,
+  createUpdate,
+  enqueueUpdate,
+  ForceUpdate,
+  initializeUpdateQueue,
+  processUpdateQueue,
+  resetHasForceUpdateBeforeProcessing,
+} from './updateQueue.js';
+import { requestUpdateLane, scheduleUpdateOnFiber } from './workLoop.js';
+
+/**
+ * 类组件实例的 updater，Component.prototype.setState / forceUpdate 通过它把更新交给协调器。
+ * 更新会加入实例对应 Fiber 的更新队列，并从该 Fiber 所在的根节点开始调度重新渲染。
+ */
+export const classComponentUpdater = {
+  /**
+   * setState(partialState, callback)
+   * @param {Component} instance - 类组件实例。
+   * @param {Object|Function} payload - 部分状态，或 (prevState, props) => partialState 函数。
+   * @param {Function} [callback] - 更新提交后执行的回调。
+   */
+  enqueueSetState(instance, payload, callback) {
+    const fiber = instance._reactFiber;
+    const lane = requestUpdateLane();
+    const update = createUpdate(lane);
+    update.payload = payload;
+    if (callback !== undefined && callback !== null) {
+      update.callback = callback;
+    }
+    enqueueUpdate(fiber, update);
+    scheduleUpdateOnFiber(fiber, lane);
+  },
+
+  /**
+   * forceUpdate(callback)
+   * @param {Component} instance - 类组件实例。
+   * @param {Function} [callback] - 更新提交后执行的回调。
+   */
+  enqueueForceUpdate(instance, callback) {
+    const fiber = instance._reactFiber;
+    const lane = requestUpdateLane();
+    const update = createUpdate(lane);
+    update.tag = ForceUpdate;
+    if (callback !== undefined && callback !== null) {
+      update.callback = callback;
+    }
+    enqueueUpdate(fiber, update);
+    scheduleUpdateOnFiber(fiber, lane);
+  },
+};
+
+/**
+ * 创建类组件的实例，并与 Fiber 节点相互关联。
+ * @param {FiberNode} workInProgress - 类组件对应的 Fiber 节点。
+ * @param {Function} ctor - 类组件的构造函数。
+ * @param {Object} props - 组件的属性。
+ * @returns {Component} - 类组件实例。
+ */
+export function constructClassInstance(workInProgress, ctor, props) {
+  // 声明了 static contextType 的类组件可以通过 this.context 读取 context
+  const context = readClassContext(ctor);
+  // 创建类组件的实例
+  const instance = new ctor(props, context);
+  instance.context = context;
+  // 构造函数中初始化的 state 作为初始状态
+  workInProgress.memoizedState =
+    instance.state !== undefined ? instance.state : null;
+  // 注入 updater，setState 通过它调度更新
+  instance.updater = classComponentUpdater;
+  // 将实例存储在 Fiber 节点的 stateNode 属性中
+  workInProgress.stateNode = instance;
+  // 将实例与 Fiber 节点关联
+  instance._reactFiber = workInProgress;
+  return instance;
+}
+
+/**
+ * 首次挂载类组件实例：初始化更新队列，执行 getDerivedStateFromProps，并同步 props 和 state。
+ * @param {FiberNode} workInProgress - 类组件对应的 Fiber 节点。
+ * @param {Object} newProps - 组件的属性。
+ */
+export function mountClassInstance(workInProgress, newProps) {
+  const instance = workInProgress.stateNode;
+  const ctor = workInProgress.type;
+  initializeUpdateQueue(workInProgress);
+  applyDerivedStateFromProps(workInProgress, ctor, newProps);
+  instance.props = newProps;
+  instance.state = workInProgress.memoizedState;
+  // 提交阶段执行 componentDidMount
+  if (typeof instance.componentDidMount === 'function') {
+    workInProgress.flags |= Update;
+  }
+}
+
+/**
+ * 首次挂载时子树出错、回溯到这个错误边界重新渲染：实例已经创建，处理携带错误的更新。
+ * @param {FiberNode} workInProgress - 类组件对应的 Fiber 节点。
+ * @param {Object} newProps - 组件的属性。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ */
+export function resumeMountClassInstance(
+  workInProgress,
+  newProps,
+  renderLanes
+) {
+  const instance = workInProgress.stateNode;
+  processUpdateQueue(workInProgress, newProps, instance, renderLanes);
+  applyDerivedStateFromProps(workInProgress, workInProgress.type, newProps);
+  instance.props = newProps;
+  instance.state = workInProgress.memoizedState;
+  if (typeof instance.componentDidMount === 'function') {
+    workInProgress.flags |= Update;
+  }
+}
+
+/**
+ * 更新类组件实例：处理更新队列计算新的 state，执行 getDerivedStateFromProps，
+ * 再根据 shouldComponentUpdate（或 PureComponent 的浅比较）判断是否需要重新渲染，并同步到实例上。
+ * @param {FiberNode} current - current Fiber 节点。
+ * @param {FiberNode} workInProgress - workInProgress Fiber 节点。
+ * @param {Object} newProps - 新的属性。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ * @returns {boolean} - 是否需要调用 render 重新渲染。
+ */
+export function updateClassInstance(
+  current,
+  workInProgress,
+  newProps,
+  renderLanes
+) {
+  const instance = workInProgress.stateNode;
+  const ctor = workInProgress.type;
+  const oldProps = current.memoizedProps;
+  const oldState = current.memoizedState;
+  const nextContext = readClassContext(ctor);
+
+  cloneUpdateQueue(current, workInProgress);
+  resetHasForceUpdateBeforeProcessing();
+  processUpdateQueue(workInProgress, newProps, instance, renderLanes);
+  applyDerivedStateFromProps(workInProgress, ctor, newProps);
+  const newState = workInProgress.memoizedState;
+
+  const shouldUpdate =
+    checkHasForceUpdateAfterProcessing() ||
+    checkShouldComponentUpdate(
+      workInProgress,
+      ctor,
+      oldProps,
+      newProps,
+      oldState,
+      newState,
+      nextContext
+    );
+
+  // props 或 state 发生变化时，提交阶段执行 getSnapshotBeforeUpdate 和 componentDidUpdate
+  if (shouldUpdate && (oldProps !== newProps || oldState !== newState)) {
+    if (typeof instance.componentDidUpdate === 'function') {
+      workInProgress.flags |= Update;
+    }
+    if (typeof instance.getSnapshotBeforeUpdate === 'function') {
+      workInProgress.flags |= Snapshot;
+    }
+  }
+
+  // 即使不重新渲染，实例上的 props 和 state 也要更新为最新的值
+  instance.props = newProps;
+  instance.state = newState;
+  instance.context = nextContext;
+  return shouldUpdate;
+}
+
+/**
+ * 执行 static getDerivedStateFromProps，把返回的部分状态合并到 memoizedState 上。
+ * @param {FiberNode} workInProgress - 类组件对应的 Fiber 节点。
+ * @param {Function} ctor - 类组件的构造函数。
+ * @param {Object} nextProps - 新的属性。
+ */
+function applyDerivedStateFromProps(workInProgress, ctor, nextProps) {
+  const getDerivedStateFromProps = ctor.getDerivedStateFromProps;
+  if (typeof getDerivedStateFromProps !== 'function') {
+    return;
+  }
+  const prevState = workInProgress.memoizedState;
+  const partialState = getDerivedStateFromProps(nextProps, prevState);
+  const memoizedState =
+    partialState === null || partialState === undefined
+      ? prevState
+      : { ...prevState, ...partialState };
+  workInProgress.memoizedState = memoizedState;
+  // 没有被跳过的更新时，派生出的状态也作为之后处理更新的起始状态
+  if (workInProgress.lanes === NoLanes) {
+    workInProgress.updateQueue.baseState = memoizedState;
+  }
+}
+
+/**
+ * 判断类组件是否需要重新渲染：
+ * 定义了 shouldComponentUpdate 时以它的返回值为准，PureComponent 浅比较 props 和 state，其余情况总是重新渲染。
+ */
+function checkShouldComponentUpdate(
+  workInProgress,
+  ctor,
+  oldProps,
+  newProps,
+  oldState,
+  newState,
+  nextContext
+) {
+  const instance = workInProgress.stateNode;
+  if (typeof instance.shouldComponentUpdate === 'function') {
+    return instance.shouldComponentUpdate(newProps, newState, nextContext);
+  }
+  if (ctor.isPureReactComponent) {
+    return (
+      !shallowEqual(oldProps, newProps) || !shallowEqual(oldState, newState)
+    );
+  }
+  return true;
+}
+
+/**
+ * 读取类组件 static contextType 声明的 context，没有声明时返回空对象。
+ * @param {Function} ctor - 类组件的构造函数。
+ * @returns {*}
+ */
+function readClassContext(ctor) {
+  const contextType = ctor.contextType;
+  if (typeof contextType === 'object' && contextType !== null) {
+    return readContext(contextType);
+  }
+  return {};
+}
@@ -0,0 +1,678 @@
+import {
+  BeforeMutationMask,
+  Callback,
+  ChildDeletion,
+  ClassComponent,
+  ContentReset,
+  ForwardRef,
+  FunctionComponent,
+  HookHasEffect,
+  HookInsertion,
+  HookLayout,
+  HookPassive,
+  HostComponent,
+  HostPortal,
+  HostRoot,
+  HostText,
+  LayoutMask,
+  MutationMask,
+  NoFlags,
+  Passive,
+  PassiveMask,
+  Placement,
+  Ref,
+  Snapshot,
+  Update,
+} from './constants.js';
+import {
+  appendChild,
+  commitTextUpdate,
+  commitUpdate,
+  getPublicInstance,
+  insertBefore,
+  removeChild,
+  resetTextContent,
+} from './hostConfig.js';
+import { commitCallbacks } from './updateQueue.js';
+import { captureCommitPhaseError } from './workLoop.js';
+
+/**
+ * 执行函数组件 effect 链表中 tag 包含 flags 的 effect 的销毁函数。
+ * @param {number} flags - 需要匹配的 effect 类型，例如 HookLayout | HookHasEffect。
+ * @param {FiberNode} finishedWork - 函数组件对应的 Fiber 节点。
+ * @param {FiberNode|null} nearestMountedAncestor - 销毁函数出错时，从这个节点开始查找错误边界。
+ */
+function commitHookEffectListUnmount(
+  flags,
+  finishedWork,
+  nearestMountedAncestor
+) {
+  const updateQueue = finishedWork.updateQueue;
+  const lastEffect = updateQueue !== null ? updateQueue.lastEffect : null;
+  if (lastEffect === null) {
+    return;
+  }
+  const firstEffect = lastEffect.next;
+  let effect = firstEffect;
+  do {
+    if ((effect.tag & flags) === flags) {
+      const destroy = effect.destroy;
+      effect.destroy = undefined;
+      if (typeof destroy === 'function') {
+        try {
+          destroy();
+        } catch (error) {
+          captureCommitPhaseError(finishedWork, nearestMountedAncestor, error);
+        }
+      }
+    }
+    effect = effect.next;
+  } while (effect !== firstEffect);
+}
+
+/**
+ * 执行函数组件 effect 链表中 tag 包含 flags 的 effect 的回调，返回值保存为销毁函数。
+ * @param {number} flags - 需要匹配的 effect 类型。
+ * @param {FiberNode} finishedWork - 函数组件对应的 Fiber 节点。
+ */
+function commitHookEffectListMount(flags, finishedWork) {
+  const updateQueue = finishedWork.updateQueue;
+  const lastEffect = updateQueue !== null ? updateQueue.lastEffect : null;
+  if (lastEffect === null) {
+    return;
+  }
+  const firstEffect = lastEffect.next;
+  let effect = firstEffect;
+  do {
+    if ((effect.tag & flags) === flags) {
+      const create = effect.create;
+      try {
+        effect.destroy = create();
+      } catch (error) {
+        captureCommitPhaseError(finishedWork, finishedWork.return, error);
+      }
+    }
+    effect = effect.next;
+  } while (effect !== firstEffect);
+}
+
+/**
+ * 绑定 ref：宿主组件绑定 DOM 元素，类组件绑定实例。
+ * ref 为函数时以实例为参数调用，为对象时赋值给 ref.current。
+ * @param {FiberNode} finishedWork - 带有 Ref 标记的 Fiber 节点。
+ */
+function safelyAttachRef(finishedWork) {
+  const ref = finishedWork.ref;
+  if (ref === null) {
+    return;
+  }
+  // 宿主组件的 ref 拿到宿主环境提供的对象（例如 DOM 元素），类组件的 ref 拿到组件实例
+  const instance =
+    finishedWork.tag === HostComponent
+      ? getPublicInstance(finishedWork.stateNode)
+      : finishedWork.stateNode;
+  if (typeof ref === 'function') {
+    try {
+      ref(instance);
+    } catch (error) {
+      captureCommitPhaseError(finishedWork, finishedWork.return, error);
+    }
+  } else {
+    ref.current = instance;
+  }
+}
+
+/**
+ * 解绑 ref：ref 为函数时以 null 为参数调用，为对象时将 ref.current 置为 null。
+ * @param {FiberNode} current - 老的 Fiber 节点（ref 变化或者节点被删除）。
+ * @param {FiberNode|null} nearestMountedAncestor - ref 函数出错时，从这个节点开始查找错误边界。
+ */
+function safelyDetachRef(current, nearestMountedAncestor) {
+  const ref = current.ref;
+  if (ref === null) {
+    return;
+  }
+  if (typeof ref === 'function') {
+    try {
+      ref(null);
+    } catch (error) {
+      captureCommitPhaseError(current, nearestMountedAncestor, error);
+    }
+  } else {
+    ref.current = null;
+  }
+}
+
+/**
+ * 判断 Fiber 节点是否可以作为宿主父节点（对应真实 DOM 容器）。
+ * Portal 的子节点挂载到 Portal 自己的容器中，所以 Portal 也是宿主父节点。
+ * @param {FiberNode} fiber - Fiber 节点。
+ * @returns {boolean}
+ */
+function isHostParent(fiber) {
+  return (
+    fiber.tag === HostComponent ||
+    fiber.tag === HostRoot ||
+    fiber.tag === HostPortal
+  );
+}
+
+/**
+ * 向上查找最近的宿主父 Fiber 节点（HostComponent、HostRoot 或 HostPortal）。
+ * @param {FiberNode} fiber - 起始 Fiber 节点。
+ * @returns {FiberNode} - 最近的宿主父 Fiber 节点。
+ */
+function getHostParentFiber(fiber) {
+  let parent = fiber.return;
+  while (parent !== null) {
+    if (isHostParent(parent)) {
+      return parent;
+    }
+    parent = parent.return;
+  }
+  throw new Error('找不到宿主父节点，Fiber 树可能已经损坏。');
+}
+
+/**
+ * 获取宿主父 Fiber 节点对应的真实 DOM 容器。
+ * @param {FiberNode} parentFiber - 宿主父 Fiber 节点。
+ * @returns {HTMLElement}
+ */
+function getHostParentNode(parentFiber) {
+  return parentFiber.tag === HostRoot || parentFiber.tag === HostPortal
+    ? parentFiber.stateNode.container
+    : parentFiber.stateNode;
+}
+
+/**
+ * 查找 fiber 之后第一个稳定（不需要插入）的兄弟 DOM 节点，作为 insertBefore 的参照节点。
+ * 兄弟 Fiber 可能是组件，需要下钻找到它的第一个宿主节点；没有兄弟时需要向上回溯，
+ * 直到遇到宿主父节点为止。自身也需要插入（带 Placement）的节点不能作为参照。
+ * @param {FiberNode} fiber - 需要插入的 Fiber 节点。
+ * @returns {Node|null} - 参照 DOM 节点，找不到时返回 null（表示追加到末尾）。
+ */
+function getHostSibling(fiber) {
+  let node = fiber;
+  siblings: while (true) {
+    // 没有兄弟节点，向上回溯
+    while (node.sibling === null) {
+      if (node.return === null || isHostParent(node.return)) {
+        return null;
+      }
+      node = node.return;
+    }
+    node.sibling.return = node.return;
+    node = node.sibling;
+    // 兄弟节点不是宿主节点，下钻查找其第一个宿主子节点
+    while (node.tag !== HostComponent && node.tag !== HostText) {
+      // 该节点本身也要插入，不能作为参照，继续查找下一个兄弟
+      if (node.flags & Placement) {
+        continue siblings;
+      }
+      // Portal 的子节点在另一个容器中，不能作为参照
+      if (node.child === null || node.tag === HostPortal) {
+        continue siblings;
+      }
+      node.child.return = node;
+      node = node.child;
+    }
+    if (!(node.flags & Placement)) {
+      return node.stateNode;
+    }
+  }
+}
+
+/**
+ * 将 Fiber 节点对应的 DOM 插入到父 DOM 中；若 Fiber 不是宿主节点，则插入它的所有顶层宿主子节点。
+ * @param {FiberNode} node - 需要插入的 Fiber 节点。
+ * @param {Node|null} before - 参照 DOM 节点，为 null 时追加到末尾。
+ * @param {HTMLElement} parent - 父 DOM 节点。
+ */
+function insertOrAppendPlacementNode(node, before, parent) {
+  if (node.tag === HostComponent || node.tag === HostText) {
+    if (before) {
+      insertBefore(parent, node.stateNode, before);
+    } else {
+      appendChild(parent, node.stateNode);
+    }
+    return;
+  }
+  // Portal 的子节点已经插入到 Portal 的容器中，不随 Portal 移动
+  if (node.tag === HostPortal) {
+    return;
+  }
+  let child = node.child;
+  while (child !== null) {
+    insertOrAppendPlacementNode(child, before, parent);
+    child = child.sibling;
+  }
+}
+
+/**
+ * 处理 Placement：把新增或移动的节点插入到正确的位置。
+ * @param {FiberNode} finishedWork - 带有 Placement 标记的 Fiber 节点。
+ */
+function commitPlacement(finishedWork) {
+  const parentFiber = getHostParentFiber(finishedWork);
+  const parent = getHostParentNode(parentFiber);
+  const before = getHostSibling(finishedWork);
+  insertOrAppendPlacementNode(finishedWork, before, parent);
+}
+
+// 删除过程中当前的宿主父 DOM 节点，为 null 表示祖先 DOM 已经被移除，子节点无需再单独移除
+let hostParent = null;
+
+/**
+ * 遍历被删除子树中 parent 的所有子节点。
+ * nearestMountedAncestor 是被删除子树的父节点，卸载过程中出错时从它开始查找错误边界。
+ */
+function recursivelyTraverseDeletionEffects(nearestMountedAncestor, parent) {
+  let child = parent.child;
+  while (child !== null) {
+    commitDeletionEffectsOnFiber(nearestMountedAncestor, child);
+    child = child.sibling;
+  }
+}
+
+/**
+ * 删除单个 Fiber 节点：宿主节点从宿主父 DOM 中移除；组件节点继续向下找到顶层宿主节点。
+ * 函数组件在这里执行 useInsertionEffect 和 useLayoutEffect 的销毁函数，useEffect 的销毁函数在 passive 阶段执行。
+ */
+function commitDeletionEffectsOnFiber(nearestMountedAncestor, deletedFiber) {
+  switch (deletedFiber.tag) {
+    case FunctionComponent:
+    case ForwardRef:
+      commitHookEffectListUnmount(
+        HookInsertion,
+        deletedFiber,
+        nearestMountedAncestor
+      );
+      commitHookEffectListUnmount(
+        HookLayout,
+        deletedFiber,
+        nearestMountedAncestor
+      );
+      recursivelyTraverseDeletionEffects(nearestMountedAncestor, deletedFiber);
+      break;
+    case ClassComponent: {
+      safelyDetachRef(deletedFiber, nearestMountedAncestor);
+      const instance = deletedFiber.stateNode;
+      if (typeof instance.componentWillUnmount === 'function') {
+        try {
+          instance.componentWillUnmount();
+        } catch (error) {
+          captureCommitPhaseError(deletedFiber, nearestMountedAncestor, error);
+        }
+      }
+      recursivelyTraverseDeletionEffects(nearestMountedAncestor, deletedFiber);
+      break;
+    }
+    case HostComponent:
+    case HostText: {
+      if (deletedFiber.tag === HostComponent) {
+        safelyDetachRef(deletedFiber, nearestMountedAncestor);
+      }
+      // 子孙节点会随着当前 DOM 一起被移除，无需单独移除
+      const prevHostParent = hostParent;
+      hostParent = null;
+      recursivelyTraverseDeletionEffects(nearestMountedAncestor, deletedFiber);
+      hostParent = prevHostParent;
+      if (hostParent !== null) {
+        removeChild(hostParent, deletedFiber.stateNode);
+      }
+      break;
+    }
+    case HostPortal: {
+      // Portal 的顶层宿主子节点需要从 Portal 的容器中移除
+      const prevHostParent = hostParent;
+      hostParent = deletedFiber.stateNode.container;
+      recursivelyTraverseDeletionEffects(nearestMountedAncestor, deletedFiber);
+      hostParent = prevHostParent;
+      break;
+    }
+    default:
+      recursivelyTraverseDeletionEffects(nearestMountedAncestor, deletedFiber);
+      break;
+  }
+}
+
+/**
+ * 处理 ChildDeletion：删除被移除的子树对应的 DOM，并断开 Fiber 之间的引用。
+ * @param {FiberNode} returnFiber - 被删除节点的父 Fiber 节点。
+ * @param {FiberNode} deletedFiber - 被删除的 Fiber 节点。
+ */
+function commitDeletionEffects(returnFiber, deletedFiber) {
+  // 从父 Fiber 开始（包括父 Fiber 自身）向上查找宿主父节点
+  let parentFiber = returnFiber;
+  while (!isHostParent(parentFiber)) {
+    parentFiber = parentFiber.return;
+  }
+  hostParent = getHostParentNode(parentFiber);
+  commitDeletionEffectsOnFiber(returnFiber, deletedFiber);
+  hostParent = null;
+  // 断开引用，便于垃圾回收
+  deletedFiber.return = null;
+  if (deletedFiber.alternate !== null) {
+    deletedFiber.alternate.return = null;
+  }
+}
+
+/**
+ * 处理单个 Fiber 节点的 before mutation 副作用：此时 DOM 还没有更新。
+ */
+function commitBeforeMutationEffectsOnFiber(finishedWork) {
+  if ((finishedWork.subtreeFlags & BeforeMutationMask) !== NoFlags) {
+    let child = finishedWork.child;
+    while (child !== null) {
+      commitBeforeMutationEffectsOnFiber(child);
+      child = child.sibling;
+    }
+  }
+  if (finishedWork.tag === ClassComponent && finishedWork.flags & Snapshot) {
+    const current = finishedWork.alternate;
+    if (current !== null) {
+      // 读取 DOM 更新之前的信息（例如滚动位置），保存下来传给 componentDidUpdate
+      const instance = finishedWork.stateNode;
+      try {
+        instance.__reactInternalSnapshotBeforeUpdate =
+          instance.getSnapshotBeforeUpdate(
+            current.memoizedProps,
+            current.memoizedState
+          );
+      } catch (error) {
+        captureCommitPhaseError(finishedWork, finishedWork.return, error);
+      }
+    }
+  }
+}
+
+/**
+ * commit 阶段的 before mutation：DOM 变更之前执行，例如类组件的 getSnapshotBeforeUpdate。
+ * @param {FiberNode} finishedWork - 构建完成的 workInProgress 根 Fiber 节点。
+ */
+export function commitBeforeMutationEffects(finishedWork) {
+  commitBeforeMutationEffectsOnFiber(finishedWork);
+}
+
+/**
+ * 先处理当前节点收集的删除，再递归处理子节点的变更。
+ */
+function recursivelyTraverseMutationEffects(parentFiber) {
+  const deletions = parentFiber.deletions;
+  if (deletions !== null) {
+    for (const childToDelete of deletions) {
+      commitDeletionEffects(parentFiber, childToDelete);
+    }
+  }
+  // 子树中没有 mutation 副作用，跳过
+  if ((parentFiber.subtreeFlags & MutationMask) === NoFlags) {
+    return;
+  }
+  let child = parentFiber.child;
+  while (child !== null) {
+    commitMutationEffectsOnFiber(child);
+    child = child.sibling;
+  }
+}
+
+/**
+ * 处理插入和移动。
+ */
+function commitReconciliationEffects(finishedWork) {
+  if (finishedWork.flags & Placement) {
+    commitPlacement(finishedWork);
+    finishedWork.flags &= ~Placement;
+  }
+}
+
+function commitMutationEffectsOnFiber(finishedWork) {
+  const current = finishedWork.alternate;
+  const flags = finishedWork.flags;
+  switch (finishedWork.tag) {
+    case FunctionComponent:
+    case ForwardRef: {
+      recursivelyTraverseMutationEffects(finishedWork);
+      commitReconciliationEffects(finishedWork);
+      if (flags & Update) {
+        // 先执行 useInsertionEffect 的销毁函数和回调，此时 DOM 还没有更新
+        commitHookEffectListUnmount(
+          HookInsertion | HookHasEffect,
+          finishedWork,
+          finishedWork.return
+        );
+        commitHookEffectListMount(HookInsertion | HookHasEffect, finishedWork);
+        // useLayoutEffect 的销毁函数在 mutation 阶段执行，回调在 layout 阶段执行
+        commitHookEffectListUnmount(
+          HookLayout | HookHasEffect,
+          finishedWork,
+          finishedWork.return
+        );
+      }
+      break;
+    }
+    case ClassComponent:
+      recursivelyTraverseMutationEffects(finishedWork);
+      commitReconciliationEffects(finishedWork);
+      // ref 发生变化，先解绑老的 ref
+      if (flags & Ref && current !== null) {
+        safelyDetachRef(current, finishedWork.return);
+      }
+      break;
+    case HostComponent: {
+      const instance = finishedWork.stateNode;
+      if (flags & Ref && current !== null) {
+        safelyDetachRef(current, finishedWork.return);
+      }
+      // 子节点从文本变为元素：先清空文本，再插入新的子节点
+      if (flags & ContentReset) {
+        resetTextContent(instance);
+        finishedWork.flags &= ~ContentReset;
+      }
+      recursivelyTraverseMutationEffects(finishedWork);
+      commitReconciliationEffects(finishedWork);
+      // 将 completeWork 中计算出的属性差异应用到 DOM 上
+      if (flags & Update) {
+        const updatePayload = finishedWork.updateQueue;
+        finishedWork.updateQueue = null;
+        if (updatePayload !== null) {
+          commitUpdate(instance, updatePayload, finishedWork.memoizedProps);
+        }
+      }
+      break;
+    }
+    case HostText: {
+      recursivelyTraverseMutationEffects(finishedWork);
+      commitReconciliationEffects(finishedWork);
+      // 更新文本内容
+      if (flags & Update) {
+        commitTextUpdate(finishedWork.stateNode, finishedWork.memoizedProps);
+      }
+      break;
+    }
+    case HostRoot:
+      // 注水失败改为客户端渲染：先清空容器中服务端渲染的内容，再插入新的 DOM
+      if (flags & ContentReset) {
+        resetTextContent(finishedWork.stateNode.container);
+        finishedWork.flags &= ~ContentReset;
+      }
+      recursivelyTraverseMutationEffects(finishedWork);
+      break;
+    default:
+      recursivelyTraverseMutationEffects(finishedWork);
+      commitReconciliationEffects(finishedWork);
+      break;
+  }
+}
+
+/**
+ * commit 阶段的 DOM 变更（mutation）：依次处理删除、插入、移动和属性更新。
+ * 子节点先于父节点处理，保证父节点插入时其子树已经就绪。
+ * @param {FiberNode} finishedWork - 构建完成的 workInProgress 根 Fiber 节点。
+ */
+export function commitMutationEffects(finishedWork) {
+  commitMutationEffectsOnFiber(finishedWork);
+}
+
+/**
+ * 处理单个 Fiber 节点的 layout 副作用：此时 DOM 已经更新完毕。
+ */
+function commitLayoutEffectOnFiber(finishedWork) {
+  // 先处理子节点，子组件的回调先于父组件执行；子树中没有 layout 副作用时跳过
+  if ((finishedWork.subtreeFlags & LayoutMask) !== NoFlags) {
+    let child = finishedWork.child;
+    while (child !== null) {
+      commitLayoutEffectOnFiber(child);
+      child = child.sibling;
+    }
+  }
+  switch (finishedWork.tag) {
+    case FunctionComponent:
+    case ForwardRef:
+      // 执行 useLayoutEffect 的回调
+      if (finishedWork.flags & Update) {
+        commitHookEffectListMount(HookLayout | HookHasEffect, finishedWork);
+      }
+      break;
+    case ClassComponent: {
+      const instance = finishedWork.stateNode;
+      if (finishedWork.flags & Update) {
+        const current = finishedWork.alternate;
+        try {
+          if (current === null) {
+            instance.componentDidMount();
+          } else {
+            instance.componentDidUpdate(
+              current.memoizedProps,
+              current.memoizedState,
+              instance.__reactInternalSnapshotBeforeUpdate
+            );
+          }
+        } catch (error) {
+          captureCommitPhaseError(finishedWork, finishedWork.return, error);
+        }
+      }
+      // 执行 setState / forceUpdate 的回调
+      if (finishedWork.flags & Callback) {
+        commitCallbacks(finishedWork.updateQueue, instance);
+      }
+      break;
+    }
+    case HostRoot:
+      // 执行根节点更新的回调，例如渲染出错并且没有错误边界时打印错误
+      if (finishedWork.flags & Callback) {
+        commitCallbacks(finishedWork.updateQueue, null);
+      }
+      break;
+    default:
+      break;
+  }
+  // DOM 已经更新完毕，绑定新的 ref
+  if (finishedWork.flags & Ref) {
+    safelyAttachRef(finishedWork);
+  }
+}
+
+/**
+ * commit 阶段的 layout：DOM 变更完成、current 树切换之后执行，例如 setState 的回调。
+ * @param {FiberNode} finishedWork - 构建完成的根 Fiber 节点。
+ */
+export function commitLayoutEffects(finishedWork) {
+  commitLayoutEffectOnFiber(finishedWork);
+}
+
+/**
+ * 执行被删除子树中所有 useEffect 的销毁函数（不论依赖是否变化）。
+ * @param {FiberNode} deletedSubtreeRoot - 被删除子树的根节点。
+ * @param {FiberNode} nearestMountedAncestor - 被删除子树的父节点，销毁函数出错时从它开始查找错误边界。
+ */
+function commitPassiveUnmountEffectsInsideOfDeletedTree(
+  deletedSubtreeRoot,
+  nearestMountedAncestor
+) {
+  if (
+    deletedSubtreeRoot.tag === FunctionComponent ||
+    deletedSubtreeRoot.tag === ForwardRef
+  ) {
+    commitHookEffectListUnmount(
+      HookPassive,
+      deletedSubtreeRoot,
+      nearestMountedAncestor
+    );
+  }
+  let child = deletedSubtreeRoot.child;
+  while (child !== null) {
+    commitPassiveUnmountEffectsInsideOfDeletedTree(
+      child,
+      nearestMountedAncestor
+    );
+    child = child.sibling;
+  }
+}
+
+function commitPassiveUnmountOnFiber(finishedWork) {
+  // 先处理被删除的子树
+  if (finishedWork.flags & ChildDeletion) {
+    const deletions = finishedWork.deletions;
+    if (deletions !== null) {
+      for (const childToDelete of deletions) {
+        commitPassiveUnmountEffectsInsideOfDeletedTree(
+          childToDelete,
+          finishedWork
+        );
+      }
+    }
+  }
+  if ((finishedWork.subtreeFlags & PassiveMask) !== NoFlags) {
+    let child = finishedWork.child;
+    while (child !== null) {
+      commitPassiveUnmountOnFiber(child);
+      child = child.sibling;
+    }
+  }
+  if (
+    (finishedWork.tag === FunctionComponent ||
+      finishedWork.tag === ForwardRef) &&
+    finishedWork.flags & Passive
+  ) {
+    commitHookEffectListUnmount(
+      HookPassive | HookHasEffect,
+      finishedWork,
+      finishedWork.return
+    );
+  }
+}
+
+/**
+ * passive 阶段的销毁：执行被删除组件的 useEffect 销毁函数，以及依赖变化的 useEffect 上一次的销毁函数。
+ * @param {FiberNode} finishedWork - 已提交的根 Fiber 节点。
+ */
+export function commitPassiveUnmountEffects(finishedWork) {
+  commitPassiveUnmountOnFiber(finishedWork);
+}
+
+function commitPassiveMountOnFiber(finishedWork) {
+  // 子组件的 useEffect 先于父组件执行
+  if ((finishedWork.subtreeFlags & PassiveMask) !== NoFlags) {
+    let child = finishedWork.child;
+    while (child !== null) {
+      commitPassiveMountOnFiber(child);
+      child = child.sibling;
+    }
+  }
+  if (
+    (finishedWork.tag === FunctionComponent ||
+      finishedWork.tag === ForwardRef) &&
+    finishedWork.flags & Passive
+  ) {
+    commitHookEffectListMount(HookPassive | HookHasEffect, finishedWork);
+  }
+}
+
+/**
+ * passive 阶段的回调：执行依赖变化的 useEffect 的回调。
+ * 所有销毁函数都执行完之后才会执行回调。
+ * @param {FiberNode} finishedWork - 已提交的根 Fiber 节点。
+ */
+export function commitPassiveMountEffects(finishedWork) {
+  commitPassiveMountOnFiber(finishedWork);
+}
@@ -0,0 +1,236 @@
+import {
+  ClassComponent,
+  ContentReset,
+  ContextConsumer,
+  ContextProvider,
+  ForwardRef,
+  Fragment,
+  FunctionComponent,
+  HostComponent,
+  HostPortal,
+  HostRoot,
+  HostText,
+  MemoComponent,
+  mergeLane,
+  NoFlags,
+  NoLanes,
+  Update,
+} from './constants.js';
+import {
+  appendInitialChild,
+  createInstance,
+  createTextInstance,
+  finalizeInitialChildren,
+  prepareUpdate,
+  preparePortalMount,
+  shouldSetTextContent,
+} from './hostConfig.js';
+import {
+  popHydrationState,
+  prepareToHydrateHostInstance,
+  prepareToHydrateHostTextInstance,
+} from './hydration.js';
+import { popProvider } from './newContext.js';
+
+/**
+ * 遍历节点从下到上时，完善、完成节点的属性。
+ * 完成当前 workInProgress Fiber 节点的属性（DOM/优先级/副作用）、更新属性等，如，DOM属性 stateNode（创建 DOM 元素）、优先级属性、副作用属性。
+ * 根据节点类型进行不同处理。
+ * 并向上冒泡，完善子节点的副作用标记和优先级。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ */
+export function completeWork(workInProgress) {
+  // 获取当前 workInProgress Fiber 节点对应的 current Fiber 节点
+  const current = workInProgress.alternate;
+  // 根据 workInProgress 节点的类型进行不同处理
+  switch (workInProgress.tag) {
+    case HostRoot:
+      // 注水时删除容器中多余的 DOM 节点
+      popHydrationState(workInProgress);
+      break;
+    case FunctionComponent:
+    case ForwardRef:
+    case ClassComponent:
+    case Fragment:
+    case ContextConsumer:
+    case MemoComponent:
+      // 对于函数组件（包括 forwardRef 和 memo）、类组件、Fragment 和 Consumer 节点，目前不做额外处理，直接跳过
+      break;
+    case HostPortal:
+      if (current === null) {
+        // 例如 DOM 中：Portal 容器不在根容器之下，需要在 Portal 容器上也注册事件监听
+        preparePortalMount(workInProgress.stateNode.container);
+      }
+      break;
+    case ContextProvider:
+      // 子树已经处理完成，恢复为外层 Provider 提供的值
+      popProvider(workInProgress.type._context);
+      break;
+    case HostComponent:
+      // 更新逻辑
+      // 如果存在 current Fiber 节点且 workInProgress 节点已存在对应的 DOM 元素，复用该 DOM 元素
+      if (current && workInProgress.stateNode) {
+        updateHostComponent(current, workInProgress);
+        break;
+      }
+      // 注水：复用服务端渲染的 DOM 元素，只关联 Fiber 和事件处理函数
+      if (popHydrationState(workInProgress)) {
+        prepareToHydrateHostInstance(workInProgress);
+        break;
+      }
+      // 新增逻辑
+      // NOTE: 创建宿主组件（Host Component）对应的宿主节点（例如 DOM 元素），宿主节点会关联 workInProgress
+      const instance = createInstance(
+        workInProgress.type,
+        workInProgress.pendingProps,
+        workInProgress
+      );
+      // 将workInProgress的子节点对应的宿主节点添加到当前宿主节点中
+      appendAllChildren(instance, workInProgress);
+      // NOTE: 每一个宿主组件的Fiber节点都有一个stateNode属性，指向真实的宿主节点
+      // 将创建的宿主节点关联到 workInProgress Fiber 节点的 stateNode 属性
+      workInProgress.stateNode = instance;
+      // 为宿主节点设置初始属性
+      finalizeInitialChildren(
+        instance,
+        workInProgress.type,
+        workInProgress.pendingProps
+      );
+      break;
+    case HostText:
+      // 更新时复用已有的文本节点，文本内容变化时打上更新标记
+      if (current && workInProgress.stateNode) {
+        if (current.memoizedProps !== workInProgress.pendingProps) {
+          workInProgress.flags |= Update;
+        }
+        break;
+      }
+      if (popHydrationState(workInProgress)) {
+        prepareToHydrateHostTextInstance(workInProgress);
+        break;
+      }
+      // 创建文本节点，并将其关联到 workInProgress Fiber 节点的 stateNode 属性
+      workInProgress.stateNode = createTextInstance(
+        workInProgress.pendingProps,
+        workInProgress
+      );
+      break;
+
+    default:
+      // 对于其他未处理的节点类型，直接返回
+      return;
+  }
+  // 调用 bubbleProperties 函数，向上冒泡子节点的副作用标记、优先级车道
+  bubbleProperties(workInProgress);
+}
+
+/**
+ * 将 workInProgress 节点的子节点对应的宿主节点添加到指定的宿主节点中。
+ * @param {*} parent - 目标宿主节点（例如 DOM 元素），子节点对应的宿主节点将被添加到该节点中。
+ * @param {Object} workInProgress - 当前正在处理的 Fiber 节点，函数会遍历其所有子 Fiber 节点。
+ */
+function appendAllChildren(parent, workInProgress) {
+  // 获取 workInProgress 节点的第一个子 Fiber 节点，作为遍历的起点
+  let childFiber = workInProgress.child;
+  // 循环遍历子 Fiber 节点，只要 childFiber 存在就继续循环
+  while (childFiber) {
+    // 挂载或下钻
+    // NOTE: 如果当前子 Fiber 节点是宿主组件或文本节点
+    if (childFiber.tag === HostComponent || childFiber.tag === HostText) {
+      // 将该子节点对应的宿主节点添加到目标宿主节点中
+      appendInitialChild(parent, childFiber.stateNode);
+    } else if (childFiber.tag === HostPortal) {
+      // Portal 的子节点挂载到它自己的容器中，提交阶段单独插入，这里不下钻
+    } else if (childFiber.child) {
+      // NOTE: 若不是宿主组件或文本节点，则下钻到其子节点继续处理
+      childFiber = childFiber.child;
+      // 跳过本次循环的剩余代码，继续下一次循环
+      continue;
+    }
+    // 若是没有子节点的组件（如返回 null 的函数组件），继续处理它的兄弟节点
+
+    // 回到根
+    // 如果当前子 Fiber 节点回到了 workInProgress 节点，说明遍历完成，直接返回
+    if (childFiber === workInProgress) {
+      return;
+    }
+
+    // 如果没有兄弟节点，返回上级；如果当前子 Fiber 节点没有兄弟节点时，不断向上回溯
+    while (!childFiber.sibling) {
+      // 如果回溯到 workInProgress 节点，说明遍历完成，直接返回
+      if (childFiber.return === workInProgress) {
+        return;
+      }
+      // 将当前子 Fiber 节点更新为其父节点
+      childFiber = childFiber.return;
+    }
+
+    // 遍历兄弟节点
+    // 将当前子 Fiber 节点更新为其兄弟节点，继续遍历
+    childFiber = childFiber.sibling;
+  }
+}
+
+/**
+ * 向上冒泡：把所有子节点的副作用标记（flags 和 subtreeFlags）合并到当前节点的 subtreeFlags 上，
+ * 把子节点的优先级（lanes 和 childLanes）合并到当前节点的 childLanes 上。
+ * commit 阶段据此跳过没有副作用的子树。
+ * @param {Fiber} completedWork - 已完成的 Fiber 节点。
+ */
+function bubbleProperties(completedWork) {
+  // 跳过了整个子树时，子节点仍然是 current 树上的节点，它们的副作用标记已经在上一次提交时处理过，不再冒泡
+  const didBailout =
+    completedWork.alternate !== null &&
+    completedWork.alternate.child === completedWork.child;
+  let subtreeFlags = NoFlags;
+  let newChildLanes = NoLanes;
+  let child = completedWork.child;
+  while (child !== null) {
+    newChildLanes = mergeLane(
+      newChildLanes,
+      mergeLane(child.lanes, child.childLanes)
+    );
+    if (!didBailout) {
+      subtreeFlags |= child.subtreeFlags;
+      subtreeFlags |= child.flags;
+    }
+    child.return = completedWork;
+    child = child.sibling;
+  }
+  completedWork.subtreeFlags |= subtreeFlags;
+  completedWork.childLanes = newChildLanes;
+}
+
+/**
+ * 更新宿主组件：比较新老属性，计算出需要更新的属性（updatePayload），等待 commit 阶段应用到宿主节点上。
+ * @param {Fiber} current - current Fiber 树中对应的 Fiber 节点。
+ * @param {Fiber} workInProgress - 正在构建的新 Fiber 节点。
+ */
+function updateHostComponent(current, workInProgress) {
+  const oldProps = current.memoizedProps;
+  const newProps = workInProgress.pendingProps;
+  // 检查属性是否未发生变化，若属性未变，无需更新
+  if (oldProps === newProps) {
+    return;
+  }
+  // 若属性发生变化，计算属性差异
+  const updatePayload = prepareUpdate(
+    workInProgress.stateNode,
+    workInProgress.type,
+    oldProps,
+    newProps
+  );
+  // 将属性差异存储到更新队列中
+  workInProgress.updateQueue = updatePayload;
+  // 如果存在属性差异，给当前 Fiber 节点打上更新标记，等待提交阶段处理
+  if (updatePayload) {
+    workInProgress.flags |= Update;
+  }
+  // 子节点从文本变为元素时，需要在插入新的子节点之前清空原有的文本内容
+  if (
+    shouldSetTextContent(workInProgress.type, oldProps) &&
+    !shouldSetTextContent(workInProgress.type, newProps)
+  ) {
+    workInProgress.flags |= ContentReset;
+  }
+}
@@ -4,6 +4,32 @@
  */
 export const REACT_ELEMENT = Symbol('react_element');
 
+/**
+ * React.Fragment 的元素类型，<></> 和 <React.Fragment> 创建的元素 type 都是它。
+ */
+export const REACT_FRAGMENT = Symbol('react_fragment');
+
+/**
+ * createContext 创建的 context 对象（同时也是 Consumer）以及 Provider 的 $$typeof。
+ */
+export const REACT_CONTEXT = Symbol('react_context');
+export const REACT_PROVIDER = Symbol('react_provider');
+
+/**
+ * forwardRef 返回的对象的 $$typeof。
+ */
+export const REACT_FORWARD_REF = Symbol('react_forward_ref');
+
+/**
+ * memo 返回的对象的 $$typeof。
+ */
+export const REACT_MEMO = Symbol('react_memo');
+
+/**
+ * createPortal 返回的对象的 $$typeof。
+ */
+export const REACT_PORTAL = Symbol('react_portal');
+
 /**
  * fiber tag 类型
  * 定义了一系列用于标识不同类型 Fiber 节点的常量，
@@ -19,6 +45,9 @@ export const ClassComponent = 1;
 // 含义：表示该 Fiber 节点是整个应用的根节点。在 React 应用中，通常通过 ReactDOM.render 方法将组件渲染到一个 DOM 容器中，这个 DOM 容器对应的 Fiber 节点就是 HostRoot。
 // 用途：协调器以此标记来确定整个应用的根节点，从这里开始进行组件树的遍历和协调工作。
 export const HostRoot = 3;
+// 含义：表示该 Fiber 节点对应的是 createPortal 创建的 Portal，它的子节点挂载到另一个 DOM 容器中。
+// 用途：提交阶段把 Portal 的 DOM 容器作为子节点的宿主父节点；事件仍然沿着 Fiber 树冒泡到 Portal 的父组件。
+export const HostPortal = 4;
 // 含义：表示该 Fiber 节点对应的是一个宿主组件，也就是原生的 DOM 元素，如 <div>、<span> 等。
 // 用途：协调器使用这个标记来识别当前节点是原生 DOM 元素，从而在提交阶段创建、更新或删除对应的 DOM 节点。
 export const HostComponent = 5;
@@ -28,6 +57,18 @@ export const HostText = 6;
 // 含义：表示该 Fiber 节点对应的是一个 React.Fragment。Fragment 允许你在不添加额外 DOM 节点的情况下将多个子元素分组。
 // 用途：协调器使用这个标记来识别当前节点是 Fragment，在处理组件树时会正确处理 Fragment 包裹的子元素。
 export const Fragment = 7;
+// 含义：表示该 Fiber 节点对应的是 Context.Consumer，它的子节点是一个接收 context 值的函数。
+// 用途：协调器读取最近的 Provider 提供的值，调用子节点函数得到需要渲染的内容。
+export const ContextConsumer = 9;
+// 含义：表示该 Fiber 节点对应的是 Context.Provider，它为子树提供 context 的值。
+// 用途：协调器在处理子树之前压入新的值，完成之后恢复；值发生变化时通知子树中读取了它的组件重新渲染。
+export const ContextProvider = 10;
+// 含义：表示该 Fiber 节点对应的是 forwardRef 包装的函数组件。
+// 用途：协调器在调用渲染函数时把 ref 作为第二个参数传入，其余处理与函数组件相同。
+export const ForwardRef = 11;
+// 含义：表示该 Fiber 节点对应的是 React.memo 包装的组件，它唯一的子节点是被包装的组件。
+// 用途：协调器在 props 浅比较（或自定义比较函数）相等、并且没有待处理的更新时跳过被包装组件的渲染。
+export const MemoComponent = 14;
 
 /**
  * 协调过程中产生的副作用 flag
@@ -47,10 +88,51 @@ export const Update = /*                       */ 0b00000000000000000000000100;
 // 含义：表示该 Fiber 节点的子节点需要被删除。对应的二进制数中，从右往左数第五位为 1。
 // 用途：当某些子节点从组件树中移除时，父节点会被标记为 ChildDeletion，在提交阶段会删除对应的 DOM 元素。
 export const ChildDeletion = /*                */ 0b00000000000000000000010000;
+// 含义：表示该 Fiber 节点（宿主组件）需要清空文本内容。对应的二进制数中，从右往左数第六位为 1。
+// 用途：当宿主组件的子节点从文本变为元素时会被标记为 ContentReset，在提交阶段插入新的子节点之前先清空原有的文本。
+export const ContentReset = /*                 */ 0b00000000000000000000100000;
+// 含义：表示该 Fiber 节点有需要在提交之后执行的回调，例如 setState 的第二个参数。对应的二进制数中，从右往左数第七位为 1。
+// 用途：类组件处理更新队列时，如果更新带有回调，会被标记为 Callback，在提交阶段 DOM 更新完成后执行这些回调。
+export const Callback = /*                     */ 0b00000000000000000001000000;
+// 含义：表示该 Fiber 节点（错误边界）已经捕获了子树中的错误，正在渲染错误状态。对应的二进制数中，从右往左数第八位为 1。
+// 用途：回溯到错误边界后会被标记为 DidCapture，重新渲染时不再复用出错的子节点，也不会再次捕获错误。
+export const DidCapture = /*                   */ 0b00000000000000000010000000;
+// 含义：表示该 Fiber 节点的 ref 需要更新。对应的二进制数中，从右往左数第十位为 1。
+// 用途：首次挂载带有 ref 的节点或者 ref 发生变化时会被标记为 Ref，在提交阶段先解绑老的 ref，DOM 更新完成后再绑定新的 ref。
+export const Ref = /*                          */ 0b00000000000000001000000000;
+// 含义：表示该 Fiber 节点（类组件）需要在 DOM 更新之前执行 getSnapshotBeforeUpdate。对应的二进制数中，从右往左数第十一位为 1。
+// 用途：类组件更新时如果定义了 getSnapshotBeforeUpdate 会被标记为 Snapshot，在提交阶段修改 DOM 之前读取快照，传给 componentDidUpdate。
+export const Snapshot = /*                     */ 0b00000000000000010000000000;
 // 含义：表示该 Fiber 节点有副作用操作需要在布局之后异步执行，通常和 useEffect 钩子相关。对应的二进制数中，从右往左数第十一位为 1。
 // 用途：当组件使用了 useEffect 钩子时，对应的 Fiber 节点可能会被标记为 Passive，在提交阶段会将副作用操作放入队列，在布局完成后异步执行。
 export const Passive = /*                      */ 0b00000000000000100000000000; // 2048
+// 含义：表示该 Fiber 节点在渲染过程中出错，没有完成。对应的二进制数中，从右往左数第十六位为 1。
+// 用途：出错的节点及其祖先会被标记为 Incomplete，完成阶段不再执行 completeWork，而是向上回溯到错误边界。
+export const Incomplete = /*                   */ 0b00000000001000000000000000;
+// 含义：表示该 Fiber 节点（错误边界或根节点）需要捕获子树中的错误。对应的二进制数中，从右往左数第十七位为 1。
+// 用途：throwException 找到最近的错误边界后会给它打上 ShouldCapture 标记，回溯到这里时改为 DidCapture 并重新渲染。
+export const ShouldCapture = /*                */ 0b00000000010000000000000000;
+
+/**
+ * commit 阶段各个子阶段需要处理的副作用标记集合。
+ * completeWork 会把子树的副作用标记冒泡到父节点的 subtreeFlags 上，
+ * commit 时如果某个子树的 subtreeFlags 不包含对应阶段的标记，就可以直接跳过整个子树。
+ */
+// before mutation 阶段：DOM 变更之前，类组件的 getSnapshotBeforeUpdate
+export const BeforeMutationMask = Snapshot;
+// mutation 阶段：DOM 的插入、移动、删除和属性更新，useInsertionEffect 和 useLayoutEffect 的销毁函数，以及解绑老的 ref
+export const MutationMask =
+  Placement | Update | ChildDeletion | ContentReset | Ref;
+// layout 阶段：useLayoutEffect 的回调、setState 的回调，以及绑定新的 ref
+export const LayoutMask = Update | Callback | Ref;
+// passive 阶段：useEffect 的销毁函数和回调，被删除子树中 useEffect 的销毁函数
+export const PassiveMask = Passive | ChildDeletion;
 
+/**
+ * effect hook 的 tag
+ * HookHasEffect 表示本次渲染依赖项发生了变化，需要执行回调；其余三个表示 effect 的类型：
+ * HookInsertion 对应 useInsertionEffect，HookLayout 对应 useLayoutEffect，HookPassive 对应 useEffect。
+ */
 export const HookHasEffect = /* */ 0b0001; // 1
 export const HookInsertion = /*  */ 0b0010; // 2
 export const HookLayout = /*    */ 0b0100; // 4
@@ -74,6 +156,41 @@ export const NoLane = /*                        */ 0b000000000000000000000000000
  * 具有该优先级的渲染任务会被立即同步执行，通常用于处理用户输入等需要即时响应的操作。
  */
 export const SyncLane = /*                       */ 0b0000000000000000000000000000001;
+/**
+ * 表示连续输入的渲染优先级。
+ * 对应的二进制数中，从右往左数第三位为 1。
+ * mousemove、scroll 等连续触发的事件中产生的更新使用该优先级，低于同步优先级、高于默认优先级。
+ */
+export const InputContinuousLane = /*            */ 0b0000000000000000000000000000100;
+/**
+ * 表示默认渲染优先级。
+ * 对应的二进制数中，从右往左数第五位为 1。
+ * root.render 等普通更新使用该优先级，通过调度器并发渲染，渲染过程中可以让出主线程。
+ */
+export const DefaultLane = /*                    */ 0b0000000000000000000000000010000;
+/**
+ * 表示过渡（transition）渲染优先级，共 16 条，从右往左数第七位到第二十二位。
+ * startTransition 中产生的更新使用其中一条，优先级低于默认优先级，可以被更紧急的更新打断。
+ */
+export const TransitionLanes = /*                */ 0b0000000001111111111111111000000;
+/**
+ * 第一条过渡优先级，startTransition 依次循环使用 16 条过渡优先级。
+ */
+const TransitionLane1 = /*                       */ 0b0000000000000000000000001000000;
+/**
+ * 表示空闲渲染优先级。
+ * 对应的二进制数中，从右往左数第三十位为 1。
+ * 只有在没有其他任何更新时才会处理，适合离屏内容等不重要的工作。
+ */
+export const IdleLane = /*                       */ 0b0100000000000000000000000000000;
+/**
+ * 除空闲优先级之外的所有优先级。
+ */
+export const NonIdleLanes = /*                   */ 0b0001111111111111111111111111111;
+/**
+ * 紧急的优先级：用户能直接感知到延迟的更新，useDeferredValue 在这些优先级的渲染中返回旧值。
+ */
+const UrgentLanes = SyncLane | InputContinuousLane | DefaultLane;
 
 /**
  * 合并两个渲染优先级（lane）。
@@ -103,3 +220,111 @@ export function includesSomeLane(a, b) {
   // 使用按位与运算符判断 a 和 b 是否有共同的优先级位，若结果不为 NoLane 则存在交集
   return (a & b) !== NoLane;
 }
+
+/**
+ * 从 a 中移除 b 包含的优先级。
+ * @param {number} a - 优先级集合。
+ * @param {number} b - 需要移除的优先级。
+ * @returns {number}
+ */
+export function removeLanes(a, b) {
+  return a & ~b;
+}
+
+/**
+ * 检查 subset 中的优先级是否全部包含在 set 中。
+ * 处理更新队列时用来判断一个更新的优先级是否包含在本次渲染的优先级中。
+ * @param {number} set - 优先级集合。
+ * @param {number} subset - 优先级子集。
+ * @returns {boolean}
+ */
+export function isSubsetOfLanes(set, subset) {
+  return (set & subset) === subset;
+}
+
+/**
+ * 获取优先级集合中最高的优先级，即最右边（最低位）的 1。
+ * @param {number} lanes - 优先级集合。
+ * @returns {number}
+ */
+export function getHighestPriorityLane(lanes) {
+  return lanes & -lanes;
+}
+
+/**
+ * 判断 lane 是否是过渡优先级。
+ * @param {number} lane - 优先级。
+ * @returns {boolean}
+ */
+export function isTransitionLane(lane) {
+  return (lane & TransitionLanes) !== NoLanes;
+}
+
+// 下一个分配给过渡更新的优先级
+let nextTransitionLane = TransitionLane1;
+
+/**
+ * 分配一条过渡优先级。每次分配后移动到下一条，用完 16 条之后从第一条重新开始，
+ * 这样不同的过渡可以分别完成，不必互相等待。
+ * @returns {number}
+ */
+export function claimNextTransitionLane() {
+  const lane = nextTransitionLane;
+  nextTransitionLane <<= 1;
+  if ((nextTransitionLane & TransitionLanes) === NoLanes) {
+    nextTransitionLane = TransitionLane1;
+  }
+  return lane;
+}
+
+/**
+ * 判断优先级集合是否只包含不紧急的优先级（过渡、空闲等）。
+ * @param {number} lanes - 优先级集合。
+ * @returns {boolean}
+ */
+export function includesOnlyNonUrgentLanes(lanes) {
+  return (lanes & UrgentLanes) === NoLanes;
+}
+
+/**
+ * 获取优先级集合中最高优先级对应的一批优先级：所有过渡优先级会放在一起渲染，其他优先级单独渲染。
+ * @param {number} lanes - 优先级集合。
+ * @returns {number}
+ */
+function getHighestPriorityLanes(lanes) {
+  const lane = getHighestPriorityLane(lanes);
+  if (isTransitionLane(lane)) {
+    return lanes & TransitionLanes;
+  }
+  return lane;
+}
+
+/**
+ * 从根节点上待处理的优先级中选出下一次渲染要处理的优先级。
+ * 空闲优先级只有在没有其他更新时才会被选中；
+ * 如果正在进行的渲染的优先级不低于选出的优先级，则继续正在进行的渲染，不打断它。
+ * @param {Object} root - 根对象。
+ * @param {number} wipLanes - 正在进行的渲染的优先级，没有正在进行的渲染时为 NoLanes。
+ * @returns {number} - 下一次渲染的优先级，没有需要处理的更新时返回 NoLanes。
+ */
+export function getNextLanes(root, wipLanes) {
+  const pendingLanes = root.pendingLanes;
+  if (pendingLanes === NoLanes) {
+    return NoLanes;
+  }
+  const nonIdlePendingLanes = pendingLanes & NonIdleLanes;
+  const nextLanes =
+    nonIdlePendingLanes !== NoLanes
+      ? getHighestPriorityLanes(nonIdlePendingLanes)
+      : getHighestPriorityLanes(pendingLanes);
+
+  if (
+    wipLanes !== NoLanes &&
+    wipLanes !== nextLanes &&
+    // 数值越小优先级越高，新的优先级不高于正在渲染的优先级时，不打断
+    getHighestPriorityLane(nextLanes) >= getHighestPriorityLane(wipLanes)
+  ) {
+    return wipLanes;
+  }
+  return nextLanes;
+}
@@ -0,0 +1,62 @@
+import { restoreControlledState } from './formControls.js';
+
+/**
+ * 受控组件的状态恢复：onChange 等事件触发时记录下目标元素，
+ * 事件处理函数执行完、同步更新渲染完之后，把这些元素 DOM 的值恢复为最新 props 中的值。
+ * 事件处理函数没有更新状态时，输入框会回到原来的值。
+ */
+
+let restoreTarget = null;
+let restoreQueue = null;
+
+/**
+ * 记录需要在事件分发结束后恢复状态的元素。
+ * @param {HTMLElement} target - 表单元素。
+ */
+export function enqueueStateRestore(target) {
+  if (restoreTarget) {
+    if (restoreQueue) {
+      restoreQueue.push(target);
+    } else {
+      restoreQueue = [target];
+    }
+  } else {
+    restoreTarget = target;
+  }
+}
+
+/**
+ * 是否有需要恢复状态的元素。
+ * @returns {boolean}
+ */
+export function needsStateRestore() {
+  return restoreTarget !== null || restoreQueue !== null;
+}
+
+function restoreStateOfTarget(target) {
+  const props = target.internalProps;
+  // 元素已经被卸载
+  if (!props || !target.internalFiber) {
+    return;
+  }
+  restoreControlledState(target, target.nodeName.toLowerCase(), props);
+}
+
+/**
+ * 恢复所有记录的元素的状态。
+ */
+export function restoreStateIfNeeded() {
+  if (!restoreTarget) {
+    return;
+  }
+  const target = restoreTarget;
+  const queuedTargets = restoreQueue;
+  restoreTarget = null;
+  restoreQueue = null;
+  restoreStateOfTarget(target);
+  if (queuedTargets) {
+    for (const queuedTarget of queuedTargets) {
+      restoreStateOfTarget(queuedTarget);
+    }
+  }
+}
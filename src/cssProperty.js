@@ -0,0 +1,104 @@
+// 样式值的处理，客户端设置 style 和服务端序列化 style 共用，保证两边得到相同的结果
+
+// 数值不需要加 px 单位的样式属性
+const unitlessNumbers = new Set([
+  'animationIterationCount',
+  'aspectRatio',
+  'borderImageOutset',
+  'borderImageSlice',
+  'borderImageWidth',
+  'boxFlex',
+  'boxFlexGroup',
+  'boxOrdinalGroup',
+  'columnCount',
+  'columns',
+  'flex',
+  'flexGrow',
+  'flexPositive',
+  'flexShrink',
+  'flexNegative',
+  'flexOrder',
+  'gridArea',
+  'gridRow',
+  'gridRowEnd',
+  'gridRowSpan',
+  'gridRowStart',
+  'gridColumn',
+  'gridColumnEnd',
+  'gridColumnSpan',
+  'gridColumnStart',
+  'fontWeight',
+  'lineClamp',
+  'lineHeight',
+  'opacity',
+  'order',
+  'orphans',
+  'scale',
+  'tabSize',
+  'widows',
+  'zIndex',
+  'zoom',
+  // SVG 相关的样式属性
+  'fillOpacity',
+  'floodOpacity',
+  'stopOpacity',
+  'strokeDasharray',
+  'strokeDashoffset',
+  'strokeMiterlimit',
+  'strokeOpacity',
+  'strokeWidth',
+]);
+
+// 带浏览器前缀的写法同样不需要单位，例如 WebkitLineClamp、msFlexGrow
+const vendorPrefixes = ['Webkit', 'ms', 'Moz', 'O'];
+for (const name of [...unitlessNumbers]) {
+  const capitalized = name.charAt(0).toUpperCase() + name.slice(1);
+  for (const prefix of vendorPrefixes) {
+    unitlessNumbers.add(prefix + capitalized);
+  }
+}
+
+/**
+ * 判断样式属性的数值是否不需要加 px 单位。
+ * @param {string} name - 驼峰命名的样式属性名。
+ * @returns {boolean}
+ */
+export function isUnitlessNumber(name) {
+  return unitlessNumbers.has(name);
+}
+
+/**
+ * 判断是否是 CSS 变量（自定义属性），例如 --main-color。
+ * @param {string} name - 样式属性名。
+ * @returns {boolean}
+ */
+export function isCustomProperty(name) {
+  return name.startsWith('--');
+}
+
+/**
+ * 把 style 对象中的值转换成 CSS 值：null、undefined、布尔值和空字符串表示没有这个样式（返回空字符串），
+ * 非 0 的数值除了 CSS 变量和不需要单位的属性都加上 px。
+ * @param {string} name - 样式属性名。
+ * @param {*} value - style 对象中的值。
+ * @returns {string}
+ */
+export function createStyleValue(name, value) {
+  if (
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    typeof value === 'boolean'
+  ) {
+    return '';
+  }
+  if (
+    typeof value === 'number' &&
+    value !== 0 &&
+    !isCustomProperty(name) &&
+    !isUnitlessNumber(name)
+  ) {
+    return `${value}px`;
+  }
+  return `${value}`.trim();
+}
@@ -1,56 +1,27 @@
-import { HostComponent, HostText } from './constants.js';
+import { createStyleValue, isCustomProperty } from './cssProperty.js';
+import {
+  initWrapperState,
+  isFormControl,
+  isWrapperProp,
+  postMountWrapper,
+  updateWrapper,
+} from './formControls.js';
+import { track } from './inputValueTracking.js';
 
 /**
- * 根据传入的 Fiber 节点创建对应的 DOM 元素。
- * @param {Object} workInProgress - 当前正在处理的 Fiber 节点，包含创建 DOM 元素所需的类型信息。
- * @returns {HTMLElement} - 返回新创建的 DOM 元素。
+ * 把 style 对象中的样式设置到 DOM 元素上，值为空（空字符串、null 等）时移除对应的样式。
+ * @param {HTMLElement} dom - 目标 DOM 元素。
+ * @param {Object} styles - style 对象，键为样式属性名，值为样式值。
  */
-export function createElement(workInProgress) {
-  // 调用 document.createElement 方法，根据 workInProgress 节点的 type 属性创建对应的 DOM 元素
-  return document.createElement(workInProgress.type);
-}
-
-/**
- * 将 workInProgress 节点的子节点对应的 DOM 元素添加到指定的 DOM 元素中。
- * @param {HTMLElement} dom - 目标 DOM 元素，子节点对应的 DOM 元素将被添加到该元素中。
- * @param {Object} workInProgress - 当前正在处理的 Fiber 节点，函数会遍历其所有子 Fiber 节点。
- */
-export function appendChildren(dom, workInProgress) {
-  // 获取 workInProgress 节点的第一个子 Fiber 节点，作为遍历的起点
-  let childFiber = workInProgress.child;
-  // 循环遍历子 Fiber 节点，只要 childFiber 存在就继续循环
-  while (childFiber) {
-    // 挂载或下钻
-    // NOTE: 如果当前子 Fiber 节点是宿主组件或文本节点
-    if (childFiber.tag === HostComponent || childFiber.tag === HostText) {
-      // 将该子节点对应的 DOM 元素添加到目标 DOM 元素中
-      dom.appendChild(childFiber.stateNode);
+function setValueForStyles(dom, styles) {
+  for (const [name, value] of Object.entries(styles)) {
+    const styleValue = createStyleValue(name, value);
+    if (isCustomProperty(name)) {
+      // CSS 变量只能通过 setProperty 设置
+      dom.style.setProperty(name, styleValue);
     } else {
-      // NOTE: 若不是宿主组件或文本节点，则下钻到其子节点继续处理
-      childFiber = childFiber.child;
-      // 跳过本次循环的剩余代码，继续下一次循环
-      continue;
-    }
-
-    // 回到根
-    // 如果当前子 Fiber 节点回到了 workInProgress 节点，说明遍历完成，直接返回
-    if (childFiber === workInProgress) {
-      return;
-    }
-
-    // 如果没有兄弟节点，返回上级；如果当前子 Fiber 节点没有兄弟节点时，不断向上回溯
-    while (!childFiber.sibling) {
-      // 如果回溯到 workInProgress 节点，说明遍历完成，直接返回
-      if (childFiber.return === workInProgress) {
-        return;
-      }
-      // 将当前子 Fiber 节点更新为其父节点
-      childFiber = childFiber.return;
+      dom.style[name === 'float' ? 'cssFloat' : name] = styleValue;
     }
-
-    // 遍历兄弟节点
-    // 将当前子 Fiber 节点更新为其兄弟节点，继续遍历
-    childFiber = childFiber.sibling;
   }
 }
 
@@ -61,15 +32,18 @@ export function appendChildren(dom, workInProgress) {
  * @param {Object} nextProps - 包含要设置的属性的对象，键为属性名，值为属性值。
  */
 export function setInitialProps(dom, nextProps) {
+  const tag = dom.nodeName.toLowerCase();
+  // 表单元素先初始化包装状态，value、checked 等属性由包装处理
+  initWrapperState(dom, tag, nextProps);
   // 遍历 nextProps 对象中的所有属性键值对
   for (const [k, v] of Object.entries(nextProps)) {
+    if (isWrapperProp(tag, k)) {
+      continue;
+    }
     // 处理 style 属性
     if (k === 'style') {
-      // 遍历 style 对象中的所有样式键值对
-      for (const [sk, sv] of Object.entries(v)) {
-        // 为 DOM 元素的 style 属性设置具体样式
-        dom.style[sk] = sv;
-      }
+      // 为 DOM 元素设置 style 对象中的所有样式
+      setValueForStyles(dom, v);
       // 跳过本次循环的剩余代码，继续下一次循环
       continue;
     }
@@ -87,25 +61,88 @@ export function setInitialProps(dom, nextProps) {
     // 为 DOM 元素直接设置其他属性
     dom[k] = v;
   }
+  // type、multiple 等属性和子节点都设置好之后，再设置表单元素的值
+  postMountWrapper(dom, tag, nextProps);
+  // 记录输入框的初始值，onChange 据此判断值是否真的发生了变化
+  if (tag === 'input' || tag === 'textarea') {
+    track(dom);
+  }
+}
+
+/**
+ * 注水：复用服务端渲染的 DOM 元素，只关联 Fiber 节点并记录属性（事件系统据此分发事件），
+ * 不重新设置其他属性；表单元素需要初始化包装状态，并把 props 中的值同步到 DOM 上。
+ * @param {HTMLElement} dom - 服务端渲染的 DOM 元素。
+ * @param {Object} nextProps - 元素的属性。
+ * @param {Object} internalInstanceHandle - 对应的 Fiber 节点。
+ */
+export function hydrateInstance(dom, nextProps, internalInstanceHandle) {
+  const tag = dom.nodeName.toLowerCase();
+  dom.internalFiber = internalInstanceHandle;
+  updateFiberProps(dom, nextProps);
+  if (isFormControl(tag)) {
+    initWrapperState(dom, tag, nextProps);
+    postMountWrapper(dom, tag, nextProps);
+    if (tag === 'input' || tag === 'textarea') {
+      track(dom);
+    }
+  }
+}
+
+/**
+ * 判断 children 是否是直接作为 DOM 文本内容的字符串或数字。
+ * @param {*} children - 宿主组件的 children 属性。
+ * @returns {boolean}
+ */
+export function isTextChildren(children) {
+  return typeof children === 'string' || typeof children === 'number';
+}
+
+/**
+ * 在 DOM 元素上记录其最新的属性，事件系统分发事件时从这里读取事件处理函数。
+ * @param {HTMLElement} dom - 目标 DOM 元素。
+ * @param {Object} props - 最新的属性。
+ */
+export function updateFiberProps(dom, props) {
+  dom.internalProps = props;
 }
 
 // 更新 diff
-export function diffProperties(oldProps, newProps) {
+/**
+ * 比较新老属性，计算出需要更新的属性。
+ * @param {Object} oldProps - 老属性。
+ * @param {Object} newProps - 新属性。
+ * @param {string} type - 元素的标签名。
+ * @returns {Array|null} - 形如 [key1, value1, key2, value2, ...] 的更新负载，值为 null 表示删除该属性；
+ * 没有任何变化时返回 null。只有事件处理函数变化时返回空数组，以便 commit 阶段更新 DOM 上记录的属性；
+ * 表单元素总是返回数组，以便 commit 阶段把受控的值同步到 DOM 上。
+ */
+export function diffProperties(oldProps, newProps, type) {
   let updatePayload = [];
   let styleUpdates = {};
+  // 事件处理函数是否发生变化
+  let listenersChanged = false;
 
   // 遍历老 props，将需要删除的属性置空
   for (const [k, v] of Object.entries(oldProps)) {
-    if (newProps[k]) {
+    if (Object.prototype.hasOwnProperty.call(newProps, k) || v == null) {
+      continue;
+    }
+    // value、checked 等由表单元素的包装处理
+    if (isWrapperProp(type, k)) {
       continue;
     }
     if (k === 'style') {
-      for (const [sk, sv] of Object.entries(v)) {
+      for (const sk of Object.keys(v)) {
         styleUpdates[sk] = '';
       }
       continue;
     }
-    if (k.startsWith('on') || k === 'children') {
+    if (k.startsWith('on')) {
+      listenersChanged = true;
+      continue;
+    }
+    if (k === 'children') {
       continue;
     }
     updatePayload.push(k, null);
@@ -114,39 +151,40 @@ export function diffProperties(oldProps, newProps) {
   // 遍历新 props
   for (const [k, v] of Object.entries(newProps)) {
     const lastProp = oldProps ? oldProps[k] : undefined;
-    if (v === lastProp) {
+    if (v === lastProp || isWrapperProp(type, k)) {
       continue;
     }
 
     if (k === 'style') {
       if (lastProp) {
         // 两个对象的比较
-        for (const [sk, sv] of Object.entries(lastProp)) {
+        for (const sk of Object.keys(lastProp)) {
           // 新 style 当中不存在
-          if (!v[sk]) {
+          if (!v || !Object.prototype.hasOwnProperty.call(v, sk)) {
             styleUpdates[sk] = '';
           }
         }
 
-        for (const [sk, sv] of Object.entries(v)) {
+        for (const [sk, sv] of Object.entries(v || {})) {
           if (sv !== lastProp[sk]) {
             styleUpdates[sk] = sv;
           }
         }
       } else {
-        styleUpdates = v;
+        styleUpdates = { ...styleUpdates, ...v };
       }
       continue;
     }
 
     if (k === 'children') {
-      if (typeof v === 'string' || typeof v === 'number') {
+      if (isTextChildren(v)) {
         updatePayload.push(k, v);
       }
       continue;
     }
 
     if (k.startsWith('on')) {
+      listenersChanged = true;
       continue;
     }
 
@@ -157,5 +195,57 @@ export function diffProperties(oldProps, newProps) {
     updatePayload.push('style', styleUpdates);
   }
 
-  return updatePayload.length > 0 ? updatePayload : null;
+  return updatePayload.length > 0 || listenersChanged || isFormControl(type)
+    ? updatePayload
+    : null;
+}
+
+// 属性名与 HTML 特性名不一致的属性
+const attributeNames = {
+  className: 'class',
+  htmlFor: 'for',
+};
+
+/**
+ * 将 diffProperties 计算出的更新负载应用到 DOM 元素上。
+ * @param {HTMLElement} dom - 目标 DOM 元素。
+ * @param {Array} updatePayload - 更新负载，形如 [key1, value1, key2, value2, ...]。
+ * @param {Object} nextProps - 最新的属性。
+ */
+export function commitUpdate(dom, updatePayload, nextProps) {
+  for (let i = 0; i < updatePayload.length; i += 2) {
+    const k = updatePayload[i];
+    const v = updatePayload[i + 1];
+    if (k === 'style') {
+      // 值为空字符串时会移除对应的样式
+      setValueForStyles(dom, v);
+    } else if (k === 'children') {
+      dom.textContent = v;
+    } else if (v == null) {
+      // 删除属性：移除对应的 HTML 特性
+      dom.removeAttribute(attributeNames[k] || k);
+    } else {
+      dom[k] = v;
+    }
+  }
+  updateFiberProps(dom, nextProps);
+  // 受控的表单元素：将 props 中的 value、checked 同步到 DOM 上
+  updateWrapper(dom, dom.nodeName.toLowerCase(), nextProps);
+}
+
+/**
+ * 更新文本节点的内容。
+ * @param {Text} textInstance - 文本节点。
+ * @param {string} newText - 新的文本内容。
+ */
+export function commitTextUpdate(textInstance, newText) {
+  textInstance.nodeValue = newText;
+}
+
+/**
+ * 清空 DOM 元素的文本内容。
+ * @param {HTMLElement} dom - 目标 DOM 元素。
+ */
+export function resetTextContent(dom) {
+  dom.textContent = '';
 }
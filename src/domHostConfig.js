@@ -0,0 +1,116 @@
+import {
+  diffProperties,
+  isTextChildren,
+  setInitialProps,
+  updateFiberProps,
+} from './dom.js';
+import { listenToAllEvents } from './listenToAllEvents.js';
+
+// 浏览器 DOM 的宿主环境配置，createRoot、hydrateRoot 创建的根节点使用它，接口说明见 hostConfig.js
+
+export {
+  commitTextUpdate,
+  commitUpdate,
+  hydrateInstance,
+  resetTextContent,
+} from './dom.js';
+
+/**
+ * 创建 DOM 元素，并关联 Fiber 节点和属性，事件系统据此找到 Fiber 和事件处理函数。
+ */
+export function createInstance(type, props, internalInstanceHandle) {
+  const dom = document.createElement(type);
+  dom.internalFiber = internalInstanceHandle;
+  updateFiberProps(dom, props);
+  return dom;
+}
+
+export function createTextInstance(text) {
+  return document.createTextNode(text);
+}
+
+export function appendInitialChild(parentInstance, child) {
+  parentInstance.appendChild(child);
+}
+
+export function finalizeInitialChildren(instance, type, props) {
+  setInitialProps(instance, props);
+}
+
+export function shouldSetTextContent(type, props) {
+  return isTextChildren(props.children);
+}
+
+export function prepareUpdate(instance, type, oldProps, newProps) {
+  return diffProperties(oldProps, newProps, type);
+}
+
+export function appendChild(parent, child) {
+  parent.appendChild(child);
+}
+
+export function insertBefore(parent, child, beforeChild) {
+  parent.insertBefore(child, beforeChild);
+}
+
+export function removeChild(parent, child) {
+  parent.removeChild(child);
+}
+
+export function getPublicInstance(instance) {
+  return instance;
+}
+
+/**
+ * Portal 容器不在根容器之下，需要在 Portal 容器上也注册事件监听。
+ */
+export function preparePortalMount(container) {
+  listenToAllEvents(container);
+}
+
+/* ------------------------------- 注水 ------------------------------- */
+
+/**
+ * 跳过注释等节点，只有元素和文本节点可以被认领。
+ * renderToString 在相邻文本之间插入的 <!-- --> 注释在这里被跳过。
+ * @param {Node|null} node - DOM 节点。
+ * @returns {Node|null} - 从 node 开始第一个可以认领的节点。
+ */
+function getNextHydratable(node) {
+  while (node !== null) {
+    if (node.nodeType === 1 || node.nodeType === 3) {
+      return node;
+    }
+    node = node.nextSibling;
+  }
+  return null;
+}
+
+export function getFirstHydratableChild(parentInstance) {
+  return getNextHydratable(parentInstance.firstChild);
+}
+
+export function getNextHydratableSibling(instance) {
+  return getNextHydratable(instance.nextSibling);
+}
+
+export function canHydrateInstance(instance, type) {
+  return (
+    instance.nodeType === 1 &&
+    instance.nodeName.toLowerCase() === type.toLowerCase()
+  );
+}
+
+export function canHydrateTextInstance(instance) {
+  return instance.nodeType === 3;
+}
+
+export function getTextContent(instance) {
+  return instance.textContent;
+}
+
+export function describeHydratableInstance(instance) {
+  return instance.nodeType === 3
+    ? `文本 "${instance.nodeValue}"`
+    : `<${instance.nodeName.toLowerCase()}>`;
+}
@@ -0,0 +1,108 @@
+import { registerDirectEvent } from './eventRegistry.js';
+import {
+  accumulateEnterLeaveTwoPhaseListeners,
+  getClosestInstanceFromNode,
+  isRootContainer,
+} from './listenToAllEvents.js';
+import {
+  SyntheticMouseEvent,
+  SyntheticPointerEvent,
+} from './syntheticEvent.js';
+
+/**
+ * 鼠标移入移出插件：onMouseEnter、onMouseLeave 不冒泡，根容器上无法直接监听 mouseenter、mouseleave，
+ * 根据冒泡的 mouseout、mouseover 计算出鼠标离开了哪些元素、进入了哪些元素。
+ * onPointerEnter、onPointerLeave 同理。
+ */
+
+export function registerEvents() {
+  registerDirectEvent('onMouseEnter', ['mouseout', 'mouseover']);
+  registerDirectEvent('onMouseLeave', ['mouseout', 'mouseover']);
+  registerDirectEvent('onPointerEnter', ['pointerout', 'pointerover']);
+  registerDirectEvent('onPointerLeave', ['pointerout', 'pointerover']);
+}
+
+/**
+ * 从 mouseout、mouseover 等事件中提取出 onMouseLeave、onMouseEnter 等事件，加入分发队列。
+ * 只在冒泡阶段处理。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {string} domEventName - 原生事件名。
+ * @param {Fiber|null} targetInst - 触发事件的 DOM 元素对应的 Fiber 节点。
+ * @param {Event} nativeEvent - 原生 DOM 事件对象。
+ * @param {EventTarget} nativeEventTarget - 触发事件的 DOM 元素。
+ */
+export function extractEvents(
+  dispatchQueue,
+  domEventName,
+  targetInst,
+  nativeEvent,
+  nativeEventTarget
+) {
+  const isOverEvent =
+    domEventName === 'mouseover' || domEventName === 'pointerover';
+  const isOutEvent =
+    domEventName === 'mouseout' || domEventName === 'pointerout';
+  if (!isOverEvent && !isOutEvent) {
+    return;
+  }
+
+  const related = nativeEvent.relatedTarget || nativeEvent.fromElement;
+  if (isOverEvent && related) {
+    // 从 React 管理的元素移入：已经在对应的 out 事件中处理过了
+    if (getClosestInstanceFromNode(related) || isRootContainer(related)) {
+      return;
+    }
+  }
+
+  // 离开的元素和进入的元素，null 表示页面上 React 管理范围之外的区域
+  let from;
+  let to;
+  if (isOutEvent) {
+    const toNode = nativeEvent.relatedTarget || nativeEvent.toElement;
+    from = targetInst;
+    to = toNode ? getClosestInstanceFromNode(toNode) : null;
+  } else {
+    // 从 React 管理范围之外移入
+    from = null;
+    to = targetInst;
+  }
+  if (from === to) {
+    return;
+  }
+
+  let SyntheticEventCtor = SyntheticMouseEvent;
+  let leaveEventType = 'onMouseLeave';
+  let enterEventType = 'onMouseEnter';
+  let eventTypePrefix = 'mouse';
+  if (domEventName === 'pointerout' || domEventName === 'pointerover') {
+    SyntheticEventCtor = SyntheticPointerEvent;
+    leaveEventType = 'onPointerLeave';
+    enterEventType = 'onPointerEnter';
+    eventTypePrefix = 'pointer';
+  }
+
+  const fromNode = from === null ? null : from.stateNode;
+  const toNode = to === null ? null : to.stateNode;
+
+  const leave = new SyntheticEventCtor(
+    leaveEventType,
+    eventTypePrefix + 'leave',
+    from,
+    nativeEvent,
+    nativeEventTarget
+  );
+  leave.target = fromNode;
+  leave.relatedTarget = toNode;
+
+  const enter = new SyntheticEventCtor(
+    enterEventType,
+    eventTypePrefix + 'enter',
+    to,
+    nativeEvent,
+    nativeEventTarget
+  );
+  enter.target = toNode;
+  enter.relatedTarget = fromNode;
+
+  accumulateEnterLeaveTwoPhaseListeners(dispatchQueue, leave, enter, from, to);
+}
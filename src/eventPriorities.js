@@ -0,0 +1,145 @@
+import {
+  DefaultLane,
+  getHighestPriorityLane,
+  IdleLane,
+  includesSomeLane,
+  InputContinuousLane,
+  NoLane,
+  NonIdleLanes,
+  SyncLane,
+} from './constants.js';
+
+/**
+ * 事件优先级：用户交互的紧急程度，直接对应一条渲染优先级（lane）。
+ * 离散事件（click、keydown 等）中的更新需要立即响应，使用同步优先级；
+ * 连续事件（mousemove、scroll 等）会频繁触发，使用连续输入优先级；
+ * 其他情况（例如 setTimeout、网络请求回调）使用默认优先级。
+ */
+export const DiscreteEventPriority = SyncLane;
+export const ContinuousEventPriority = InputContinuousLane;
+export const DefaultEventPriority = DefaultLane;
+export const IdleEventPriority = IdleLane;
+
+// 当前的更新优先级，事件分发、flushSync、commit 阶段等会临时设置它，期间产生的更新使用这个优先级
+let currentUpdatePriority = NoLane;
+
+export function getCurrentUpdatePriority() {
+  return currentUpdatePriority;
+}
+
+export function setCurrentUpdatePriority(newPriority) {
+  currentUpdatePriority = newPriority;
+}
+
+/**
+ * 将渲染优先级转换为事件优先级。
+ * @param {number} lanes - 渲染优先级。
+ * @returns {number} - 事件优先级。
+ */
+export function lanesToEventPriority(lanes) {
+  const lane = getHighestPriorityLane(lanes);
+  if (lane === DiscreteEventPriority) {
+    return DiscreteEventPriority;
+  }
+  if (lane === ContinuousEventPriority) {
+    return ContinuousEventPriority;
+  }
+  if (includesSomeLane(lane, NonIdleLanes)) {
+    return DefaultEventPriority;
+  }
+  return IdleEventPriority;
+}
+
+// 离散事件：每次触发都是一次独立的用户操作
+const discreteEvents = new Set([
+  'auxclick',
+  'beforeinput',
+  'blur',
+  'cancel',
+  'change',
+  'click',
+  'close',
+  'contextmenu',
+  'copy',
+  'cut',
+  'dblclick',
+  'dragend',
+  'dragstart',
+  'drop',
+  'focus',
+  'focusin',
+  'focusout',
+  'input',
+  'invalid',
+  'keydown',
+  'keypress',
+  'keyup',
+  'mousedown',
+  'mouseup',
+  'paste',
+  'pause',
+  'play',
+  'pointercancel',
+  'pointerdown',
+  'pointerup',
+  'reset',
+  'resize',
+  'select',
+  'selectionchange',
+  'selectstart',
+  'submit',
+  'touchcancel',
+  'touchend',
+  'touchstart',
+]);
+
+// 连续事件：会在短时间内连续触发
+const continuousEvents = new Set([
+  'drag',
+  'dragenter',
+  'dragexit',
+  'dragleave',
+  'dragover',
+  'mouseenter',
+  'mouseleave',
+  'mousemove',
+  'mouseout',
+  'mouseover',
+  'pointerenter',
+  'pointerleave',
+  'pointermove',
+  'pointerout',
+  'pointerover',
+  'scroll',
+  'toggle',
+  'touchmove',
+  'wheel',
+]);
+
+/**
+ * 获取原生事件对应的事件优先级。
+ * @param {string} domEventName - 原生事件名，例如 'click'。
+ * @returns {number} - 事件优先级。
+ */
+export function getEventPriority(domEventName) {
+  if (discreteEvents.has(domEventName)) {
+    return DiscreteEventPriority;
+  }
+  if (continuousEvents.has(domEventName)) {
+    return ContinuousEventPriority;
+  }
+  return DefaultEventPriority;
+}
+
+/**
+ * 获取当前正在处理的原生事件的优先级，不在事件处理过程中时使用默认优先级。
+ * 用于没有经过 React 事件系统（例如直接通过 addEventListener 绑定的事件）产生的更新。
+ * @returns {number} - 事件优先级。
+ */
+export function getCurrentEventPriority() {
+  const currentEvent = typeof window !== 'undefined' ? window.event : undefined;
+  if (currentEvent === undefined) {
+    return DefaultEventPriority;
+  }
+  return getEventPriority(currentEvent.type);
+}
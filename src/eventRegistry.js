@@ -0,0 +1,37 @@
+/**
+ * 事件注册表：各个事件插件在这里登记自己处理的 React 事件及其依赖的原生事件，
+ * 根容器只监听登记过的原生事件。
+ */
+
+// 所有需要在根容器上监听的原生事件
+export const allNativeEvents = new Set();
+
+/**
+ * 登记一个同时支持冒泡和捕获阶段的 React 事件，例如 onClick 和 onClickCapture。
+ * @param {string} registrationName - React 事件名，例如 'onClick'。
+ * @param {Array<string>} dependencies - 依赖的原生事件名，例如 ['click']。
+ */
+export function registerTwoPhaseEvent(registrationName, dependencies) {
+  registerDirectEvent(registrationName, dependencies);
+  registerDirectEvent(registrationName + 'Capture', dependencies);
+}
+
+/**
+ * 登记一个 React 事件。
+ * @param {string} registrationName - React 事件名，例如 'onMouseEnter'。
+ * @param {Array<string>} dependencies - 依赖的原生事件名，例如 ['mouseout', 'mouseover']。
+ */
+export function registerDirectEvent(registrationName, dependencies) {
+  for (const dependency of dependencies) {
+    allNativeEvents.add(dependency);
+  }
+}
+
+// 原生不冒泡的事件，只在根容器上监听捕获阶段，冒泡阶段只分发给目标元素自己
+export const nonDelegatedEvents = new Set([
+  'cancel',
+  'close',
+  'invalid',
+  'scroll',
+  'toggle',
+]);
@@ -1,13 +1,25 @@
 import {
   ClassComponent,
+  ContextConsumer,
+  ContextProvider,
+  ForwardRef,
   FunctionComponent,
   HostComponent,
+  HostPortal,
   HostRoot,
   HostText,
+  MemoComponent,
   Fragment,
   NoFlags,
+  NoLane,
   NoLanes,
+  REACT_CONTEXT,
+  REACT_FORWARD_REF,
+  REACT_FRAGMENT,
+  REACT_MEMO,
+  REACT_PROVIDER,
 } from './constants.js';
+import { initializeUpdateQueue } from './updateQueue.js';
 
 /**
  * FiberNode 构造函数，用于创建一个 Fiber 节点对象。
@@ -67,6 +79,8 @@ function FiberNode(tag, pendingProps, key) {
   this.stateNode = null;
   // 存储需要删除的子节点列表
   this.deletions = null;
+  // 节点渲染时读取的 context 列表，context 的值变化时据此找到需要重新渲染的节点
+  this.dependencies = null;
   // 指向当前 Fiber 节点的备用节点，用于双缓存机制
   this.alternate = null;
 }
@@ -92,13 +106,45 @@ function createFiber(tag, pendingProps, key) {
  * @returns {FiberNode} - 返回一个新创建的 Fiber 节点，该节点与传入的 React 元素相对应。
  */
 export function createFiberFromElement(element) {
-  // 初始化 Fiber 节点的标签，用于标识节点的类型
-  let tag = null;
   // 从 React 元素中解构出 type、props 和 key 属性
   const { type, props, key } = element;
 
+  // Fragment 直接渲染它的子节点，Fiber 的 pendingProps 就是子节点
+  if (type === REACT_FRAGMENT) {
+    return createFiberFromFragment(props.children, key);
+  }
+
+  const fiberNode = createFiberFromTypeAndProps(type, key, props);
+  // 将 React 元素的 ref 赋值给 Fiber 节点，提交阶段绑定到 DOM 元素或类组件实例上
+  fiberNode.ref = element.ref;
+  // 返回创建好的 Fiber 节点
+  return fiberNode;
+}
+
+/**
+ * 根据组件类型创建对应的 Fiber 节点。
+ * @param {string|Function|Object} type - 元素的类型：HTML 标签名、函数组件、类组件，或者 Provider、forwardRef、memo 等对象。
+ * @param {string|null} key - 节点的 key。
+ * @param {Object} pendingProps - 节点的属性。
+ * @returns {FiberNode}
+ */
+export function createFiberFromTypeAndProps(type, key, pendingProps) {
+  // 初始化 Fiber 节点的标签，用于标识节点的类型
+  let tag = null;
+
   // 根据元素类型设置 Fiber 节点的 tag
-  if (typeof type === 'string') {
+  if (typeof type === 'object' && type !== null) {
+    // Context.Provider 和 Context.Consumer
+    if (type.$$typeof === REACT_PROVIDER) {
+      tag = ContextProvider;
+    } else if (type.$$typeof === REACT_CONTEXT) {
+      tag = ContextConsumer;
+    } else if (type.$$typeof === REACT_FORWARD_REF) {
+      tag = ForwardRef;
+    } else if (type.$$typeof === REACT_MEMO) {
+      tag = MemoComponent;
+    }
+  } else if (typeof type === 'string') {
     // 如果元素类型是字符串，说明是一个宿主组件（如 <div>、<span> 等 HTML 标签）
     tag = HostComponent;
   } else if (typeof type === 'function') {
@@ -112,31 +158,125 @@ export function createFiberFromElement(element) {
     }
   }
 
+  // 无法识别的类型（例如 import 写错得到的 undefined、普通对象），直接报错，避免整棵子树悄悄消失
+  if (tag === null) {
+    throw new Error(
+      `元素类型无效：期望字符串（原生组件）或类、函数（自定义组件），实际得到的是 ${describeInvalidType(
+        type
+      )}。`
+    );
+  }
+
   // 使用 createFiber 函数创建一个新的 Fiber 节点
-  const fiberNode = createFiber(tag, props, key);
-  // 将 React 元素的类型赋值给 Fiber 节点的 type 属性
-  fiberNode.type = element.type;
-  // 返回创建好的 Fiber 节点
+  const fiberNode = createFiber(tag, pendingProps, key);
+  // 将元素的类型赋值给 Fiber 节点的 type 属性
+  fiberNode.type = type;
   return fiberNode;
 }
 
+/**
+ * 描述无效的元素类型，用于报错信息。
+ * @param {*} type - 元素的类型。
+ * @returns {string}
+ */
+function describeInvalidType(type) {
+  if (type === undefined) {
+    return 'undefined（可能是忘记导出组件，或者混淆了默认导出和命名导出）';
+  }
+  if (type === null) {
+    return 'null';
+  }
+  if (typeof type === 'object') {
+    return type.$$typeof !== undefined
+      ? `无法识别的对象（$$typeof 为 ${String(type.$$typeof)}）`
+      : '普通对象';
+  }
+  return typeof type;
+}
+
 // 创建一个文本节点
 export function createFiberFromText(text) {
   return createFiber(HostText, text, null);
 }
 
-// 创建空节点
-export function createFiberFromFragment(element) {
-  return createFiber(Fragment, element);
+/**
+ * 创建 Fragment 对应的 Fiber 节点。
+ * @param {*} elements - Fragment 的子节点。
+ * @param {string|null} key - Fragment 的 key。
+ * @returns {FiberNode}
+ */
+export function createFiberFromFragment(elements, key) {
+  return createFiber(Fragment, elements, key);
 }
 
-// 创建
+/**
+ * 创建 Portal 对应的 Fiber 节点，pendingProps 是 Portal 的子节点，stateNode 保存目标 DOM 容器。
+ * @param {Object} portal - createPortal 返回的对象。
+ * @returns {FiberNode}
+ */
+export function createFiberFromPortal(portal) {
+  const fiber = createFiber(HostPortal, portal.children || [], portal.key);
+  fiber.stateNode = {
+    container: portal.containerInfo,
+  };
+  return fiber;
+}
+
+/**
+ * 为注水时多余的、需要删除的 DOM 节点创建一个 Fiber，放入父节点的 deletions 中，提交阶段移除。
+ * @param {Node} instance - 需要删除的 DOM 节点。
+ * @returns {FiberNode}
+ */
+export function createFiberFromHostInstanceForDeletion(instance) {
+  const fiber = createFiber(HostComponent, null, null);
+  fiber.type = 'DELETED';
+  fiber.stateNode = instance;
+  return fiber;
+}
 
 // 创建根节点
 export function createHostRootFiber() {
   return createFiber(HostRoot, null, null);
 }
 
+/**
+ * 创建根对象（FiberRoot）以及对应的宿主根 Fiber 节点，二者相互引用。
+ * 根对象保存宿主容器和当前的 Fiber 树，整个应用的渲染和提交都从它开始。
+ * @param {*} container - 宿主容器，例如 DOM 元素。
+ * @param {Object} hostConfig - 宿主环境配置，协调器通过它创建和操作宿主节点（见 hostConfig.js）。
+ * @returns {Object} - 根对象。
+ */
+export function createFiberRoot(container, hostConfig) {
+  const root = {
+    // 宿主容器，例如 DOM 容器
+    container,
+    // 宿主环境配置
+    hostConfig,
+    // 当前屏幕上显示的 Fiber 树的根节点
+    current: null,
+    // 构建完成、等待提交的 workInProgress 根 Fiber 节点
+    finishedWork: null,
+    // 根节点上待处理的更新的优先级
+    pendingLanes: NoLanes,
+    // 调度器中为这个根节点安排的渲染任务
+    callbackNode: null,
+    // 已经安排的渲染任务的优先级
+    callbackPriority: NoLane,
+    // 容器中是服务端渲染的内容、还没有注水（hydrateRoot 创建的根节点首次提交之前）
+    isDehydrated: false,
+    // 注水过程中出错，改为客户端渲染
+    forceClientRender: false,
+  };
+  // 宿主根 Fiber 节点是 Fiber 树的根节点，与根对象建立双向引用
+  const hostRootFiber = createHostRootFiber();
+  root.current = hostRootFiber;
+  hostRootFiber.stateNode = root;
+  // 初始化根节点的更新队列，渲染的 React 元素通过更新队列传入
+  hostRootFiber.memoizedState = { element: null };
+  initializeUpdateQueue(hostRootFiber);
+  return root;
+}
+
 /**
  * React每次更新时，都会调用这个函数，根据老的Fiber节点，创建工作树的新节点
  *
@@ -165,6 +305,10 @@ export function createWorkInProgress(current, pendingProps) {
     // 如果 alternate 存在，说明已经有 workInProgress Fiber 节点，复用它，更新其 pendingProps
     // 场景：第二次及以后更新，渲染时，复用已有的 workInProgress Fiber 节点，更新其 pendingProps
     workInProgress.pendingProps = pendingProps;
+    // 清除上一次渲染遗留的副作用标记和待删除的子节点
+    workInProgress.flags = NoFlags;
+    workInProgress.subtreeFlags = NoFlags;
+    workInProgress.deletions = null;
   }
 
   // 同步 current 节点的 type 到 workInProgress 节点，type 表示节点对应的组件类型或 DOM 标签名
@@ -173,6 +317,22 @@ export function createWorkInProgress(current, pendingProps) {
   workInProgress.child = current.child;
   // 同步 current 节点的更新队列到 workInProgress 节点
   workInProgress.updateQueue = current.updateQueue;
+  // 同步 current 节点的属性和状态，更新时用于与新的 pendingProps 比较
+  workInProgress.memoizedProps = current.memoizedProps;
+  workInProgress.memoizedState = current.memoizedState;
+  workInProgress.ref = current.ref;
+  // 复制一份 context 依赖，渲染时会重新收集，不能与 current 共用同一个对象
+  const currentDependencies = current.dependencies;
+  workInProgress.dependencies =
+    currentDependencies === null
+      ? null
+      : {
+          lanes: currentDependencies.lanes,
+          firstContext: currentDependencies.firstContext,
+        };
+  // 同步 current 节点的兄弟节点和索引，协调子节点时会重新设置
+  workInProgress.sibling = current.sibling;
+  workInProgress.index = current.index;
 
   // 同步 current 节点的 lanes 和 childLanes 到 workInProgress 节点
   // lanes 用于表示任务的优先级
@@ -0,0 +1,395 @@
+import { updateValueIfChanged } from './inputValueTracking.js';
+
+/**
+ * 表单元素（input、select、textarea）的包装：
+ * value、checked、defaultValue、defaultChecked 不作为普通属性直接设置到 DOM 上，而是由这里处理。
+ * - 受控组件（设置了 value 或 checked）：DOM 的值始终与 props 保持一致，事件处理函数没有更新状态时，
+ *   事件分发结束后会把 DOM 的值恢复为 props 中的值；
+ * - 非受控组件：defaultValue、defaultChecked 只在挂载时生效，之后由用户输入决定。
+ * 包装需要的状态保存在 DOM 元素的 _wrapperState 上。
+ */
+
+// 由包装处理、不直接设置到 DOM 上的属性
+const wrapperProps = {
+  input: ['value', 'checked', 'defaultValue', 'defaultChecked'],
+  select: ['value', 'defaultValue'],
+  textarea: ['value', 'defaultValue', 'children'],
+};
+
+/**
+ * 判断元素是否是需要包装的表单元素。
+ * @param {string} tag - 小写的标签名。
+ * @returns {boolean}
+ */
+export function isFormControl(tag) {
+  return Object.prototype.hasOwnProperty.call(wrapperProps, tag);
+}
+
+/**
+ * 判断属性是否由表单元素的包装处理。
+ * @param {string} tag - 小写的标签名。
+ * @param {string} propKey - 属性名。
+ * @returns {boolean}
+ */
+export function isWrapperProp(tag, propKey) {
+  return isFormControl(tag) && wrapperProps[tag].includes(propKey);
+}
+
+/**
+ * 将 props 中的值转换为可以设置到 DOM 上的值，函数、Symbol 等无法显示的值转换为空字符串。
+ */
+function getToStringValue(value) {
+  switch (typeof value) {
+    case 'boolean':
+    case 'number':
+    case 'object':
+    case 'string':
+    case 'undefined':
+      return value;
+    default:
+      return '';
+  }
+}
+
+function toString(value) {
+  return '' + value;
+}
+
+function isCheckable(props) {
+  return props.type === 'checkbox' || props.type === 'radio';
+}
+
+function isControlled(props) {
+  return isCheckable(props) ? props.checked != null : props.value != null;
+}
+
+/**
+ * 受控与非受控之间切换时给出警告，组件在整个生命周期中应该保持其中一种。
+ */
+function warnIfControlledChanged(node, props, tag) {
+  const controlled = isControlled(props);
+  const wasControlled = node._wrapperState.controlled;
+  if (!wasControlled && controlled) {
+    console.error(
+      `一个非受控的 ${tag} 变成了受控组件，可能是 value 从 undefined 变成了有效的值。组件在整个生命周期中应该保持受控或者非受控。`
+    );
+  } else if (wasControlled && !controlled) {
+    console.error(
+      `一个受控的 ${tag} 变成了非受控组件，可能是 value 从有效的值变成了 undefined。组件在整个生命周期中应该保持受控或者非受控。`
+    );
+  }
+  node._wrapperState.controlled = controlled;
+}
+
+/* ------------------------------- input ------------------------------- */
+
+function initInputWrapperState(node, props) {
+  const defaultValue = props.defaultValue == null ? '' : props.defaultValue;
+  node._wrapperState = {
+    initialChecked:
+      props.checked != null ? props.checked : props.defaultChecked,
+    initialValue: getToStringValue(
+      props.value != null ? props.value : defaultValue
+    ),
+    controlled: isControlled(props),
+  };
+}
+
+function postMountInputWrapper(node, props) {
+  if (props.value != null || props.defaultValue != null) {
+    const type = props.type;
+    // 没有设置 value 的提交、重置按钮使用浏览器默认的文字
+    if ((type === 'submit' || type === 'reset') && props.value == null) {
+      return;
+    }
+    const initialValue = toString(node._wrapperState.initialValue);
+    if (initialValue !== node.value) {
+      node.value = initialValue;
+    }
+    node.defaultValue = initialValue;
+  }
+  // 设置 checked 时先移出单选框分组，避免取消同组中其他单选框的选中状态
+  const name = node.name;
+  if (name !== '') {
+    node.name = '';
+  }
+  node.defaultChecked = !!node._wrapperState.initialChecked;
+  if (name !== '') {
+    node.name = name;
+  }
+}
+
+function updateInputWrapper(node, props) {
+  warnIfControlledChanged(node, props, 'input');
+  if (props.checked != null && node.checked !== !!props.checked) {
+    node.checked = !!props.checked;
+  }
+  const value = getToStringValue(props.value);
+  if (value != null) {
+    if (props.type === 'number') {
+      // 数字输入框中的 '1.' 和 1 相等，不覆盖用户正在输入的内容
+      if ((value === 0 && node.value === '') || node.value != value) {
+        node.value = toString(value);
+      }
+    } else if (node.value !== toString(value)) {
+      node.value = toString(value);
+    }
+  } else if (props.type === 'submit' || props.type === 'reset') {
+    node.removeAttribute('value');
+  }
+}
+
+function restoreInputControlledState(node, props) {
+  updateInputWrapper(node, props);
+  // 点击单选框会取消同组中其他单选框的选中状态，它们也需要恢复
+  const name = props.name;
+  if (props.type !== 'radio' || name == null) {
+    return;
+  }
+  let queryRoot = node;
+  while (queryRoot.parentNode) {
+    queryRoot = queryRoot.parentNode;
+  }
+  const group = queryRoot.querySelectorAll(
+    'input[name=' + JSON.stringify('' + name) + '][type="radio"]'
+  );
+  for (const otherNode of group) {
+    if (otherNode === node || otherNode.form !== node.form) {
+      continue;
+    }
+    const otherProps = otherNode.internalProps;
+    // 不是由 React 渲染的单选框
+    if (!otherProps) {
+      continue;
+    }
+    // 同步记录的值，否则下一次点击它时无法触发 onChange
+    updateValueIfChanged(otherNode);
+    updateInputWrapper(otherNode, otherProps);
+  }
+}
+
+/* ------------------------------- select ------------------------------ */
+
+/**
+ * 根据 value 设置 select 中各个 option 的选中状态。
+ * @param {HTMLSelectElement} node - select 元素。
+ * @param {boolean} multiple - 是否可以多选，多选时 value 是数组。
+ * @param {*} propValue - 需要选中的值。
+ * @param {boolean} setDefaultSelected - 是否同时设置为默认选中（defaultValue）。
+ */
+function updateOptions(node, multiple, propValue, setDefaultSelected) {
+  const options = node.options;
+  if (multiple) {
+    const selectedValues = new Set(propValue.map((value) => '' + value));
+    for (const option of options) {
+      const selected = selectedValues.has(option.value);
+      if (option.selected !== selected) {
+        option.selected = selected;
+      }
+      if (selected && setDefaultSelected) {
+        option.defaultSelected = true;
+      }
+    }
+    return;
+  }
+  // 单选时选中第一个值相等的 option，都不相等时选中第一个可用的 option
+  const selectedValue = toString(getToStringValue(propValue));
+  let defaultSelected = null;
+  for (const option of options) {
+    if (option.value === selectedValue) {
+      option.selected = true;
+      if (setDefaultSelected) {
+        option.defaultSelected = true;
+      }
+      return;
+    }
+    if (defaultSelected === null && !option.disabled) {
+      defaultSelected = option;
+    }
+  }
+  if (defaultSelected !== null) {
+    defaultSelected.selected = true;
+  }
+}
+
+function checkSelectPropTypes(props) {
+  for (const propName of ['value', 'defaultValue']) {
+    if (props[propName] == null) {
+      continue;
+    }
+    const isArray = Array.isArray(props[propName]);
+    if (props.multiple && !isArray) {
+      console.error(`设置了 multiple 的 select，${propName} 应该是一个数组。`);
+    } else if (!props.multiple && isArray) {
+      console.error(`没有设置 multiple 的 select，${propName} 不应该是数组。`);
+    }
+  }
+}
+
+function initSelectWrapperState(node, props) {
+  checkSelectPropTypes(props);
+  node._wrapperState = {
+    wasMultiple: !!props.multiple,
+    controlled: props.value != null,
+  };
+}
+
+function postMountSelectWrapper(node, props) {
+  node.multiple = !!props.multiple;
+  if (props.value != null) {
+    updateOptions(node, !!props.multiple, props.value, false);
+  } else if (props.defaultValue != null) {
+    updateOptions(node, !!props.multiple, props.defaultValue, true);
+  }
+}
+
+function postUpdateSelectWrapper(node, props) {
+  warnIfControlledChanged(node, props, 'select');
+  const wasMultiple = node._wrapperState.wasMultiple;
+  node._wrapperState.wasMultiple = !!props.multiple;
+  if (props.value != null) {
+    updateOptions(node, !!props.multiple, props.value, false);
+  } else if (wasMultiple !== !!props.multiple) {
+    // 单选和多选之间切换时，重新设置选中状态
+    if (props.defaultValue != null) {
+      updateOptions(node, !!props.multiple, props.defaultValue, true);
+    } else {
+      updateOptions(node, !!props.multiple, props.multiple ? [] : '', false);
+    }
+  }
+}
+
+function restoreSelectControlledState(node, props) {
+  if (props.value != null) {
+    updateOptions(node, !!props.multiple, props.value, false);
+  }
+}
+
+/* ------------------------------ textarea ----------------------------- */
+
+function initTextareaWrapperState(node, props) {
+  let initialValue = props.value;
+  if (initialValue == null) {
+    let defaultValue = props.defaultValue;
+    // 兼容把初始值写在子节点中的旧写法：<textarea>初始值</textarea>
+    if (props.children != null) {
+      if (defaultValue != null) {
+        throw new Error('textarea 不能同时设置 defaultValue 和 children。');
+      }
+      defaultValue = Array.isArray(props.children)
+        ? props.children.join('')
+        : props.children;
+    }
+    initialValue = defaultValue == null ? '' : defaultValue;
+  }
+  node._wrapperState = {
+    initialValue: getToStringValue(initialValue),
+    controlled: props.value != null,
+  };
+}
+
+function postMountTextareaWrapper(node) {
+  const initialValue = toString(node._wrapperState.initialValue);
+  node.defaultValue = initialValue;
+  if (node.value !== initialValue) {
+    node.value = initialValue;
+  }
+}
+
+function updateTextareaWrapper(node, props) {
+  warnIfControlledChanged(node, props, 'textarea');
+  const value = getToStringValue(props.value);
+  if (value != null && node.value !== toString(value)) {
+    node.value = toString(value);
+  }
+}
+
+/* -------------------------------------------------------------------- */
+
+/**
+ * 挂载时，在设置其他属性之前初始化表单元素的包装状态。
+ * @param {HTMLElement} node - 表单元素。
+ * @param {string} tag - 小写的标签名。
+ * @param {Object} props - 属性。
+ */
+export function initWrapperState(node, tag, props) {
+  switch (tag) {
+    case 'input':
+      initInputWrapperState(node, props);
+      break;
+    case 'select':
+      initSelectWrapperState(node, props);
+      break;
+    case 'textarea':
+      initTextareaWrapperState(node, props);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * 挂载时，在设置其他属性（例如 type、multiple）、插入子节点之后设置表单元素的值。
+ * @param {HTMLElement} node - 表单元素。
+ * @param {string} tag - 小写的标签名。
+ * @param {Object} props - 属性。
+ */
+export function postMountWrapper(node, tag, props) {
+  switch (tag) {
+    case 'input':
+      postMountInputWrapper(node, props);
+      break;
+    case 'select':
+      postMountSelectWrapper(node, props);
+      break;
+    case 'textarea':
+      postMountTextareaWrapper(node);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * 更新时，在应用其他属性的变化、更新子节点之后，将受控组件的值同步到 DOM 上。
+ * @param {HTMLElement} node - 表单元素。
+ * @param {string} tag - 小写的标签名。
+ * @param {Object} props - 最新的属性。
+ */
+export function updateWrapper(node, tag, props) {
+  switch (tag) {
+    case 'input':
+      updateInputWrapper(node, props);
+      break;
+    case 'select':
+      postUpdateSelectWrapper(node, props);
+      break;
+    case 'textarea':
+      updateTextareaWrapper(node, props);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * 事件分发结束后，把受控组件 DOM 的值恢复为 props 中的值。
+ * @param {HTMLElement} node - 表单元素。
+ * @param {string} tag - 小写的标签名。
+ * @param {Object} props - 最新的属性。
+ */
+export function restoreControlledState(node, tag, props) {
+  switch (tag) {
+    case 'input':
+      restoreInputControlledState(node, props);
+      break;
+    case 'select':
+      restoreSelectControlledState(node, props);
+      break;
+    case 'textarea':
+      updateTextareaWrapper(node, props);
+      break;
+    default:
+      break;
+  }
+}
@@ -0,0 +1,551 @@
+import {
+  claimNextTransitionLane,
+  HookHasEffect,
+  HookInsertion,
+  HookLayout,
+  HookPassive,
+  includesOnlyNonUrgentLanes,
+  isSubsetOfLanes,
+  mergeLane,
+  NoLane,
+  NoLanes,
+  Passive,
+  Update,
+} from './constants.js';
+import { readContext } from './newContext.js';
+import { ReactCurrentBatchConfig, ReactCurrentDispatcher } from './react.js';
+import {
+  getWorkInProgressRoot,
+  requestUpdateLane,
+  scheduleUpdateOnFiber,
+} from './workLoop.js';
+
+// 当前正在渲染的函数组件对应的 Fiber 节点
+let currentlyRenderingFiber = null;
+// current Fiber 上与当前 hook 对应的老 hook
+let currentHook = null;
+// workInProgress Fiber 上正在处理的 hook
+let workInProgressHook = null;
+// 本次渲染的优先级
+let renderLanes = NoLanes;
+
+/**
+ * 渲染函数组件：设置 hooks 调度器，调用组件函数获取子节点。
+ * 函数组件的 hook 以链表的形式按调用顺序存储在 Fiber 的 memoizedState 上，
+ * 更新时按同样的顺序从 current Fiber 上取出对应的老 hook，所以 hook 不能写在条件语句中。
+ * @param {FiberNode|null} current - current Fiber 节点，首次渲染时为 null。
+ * @param {FiberNode} workInProgress - 正在构建的 Fiber 节点。
+ * @param {Function} Component - 函数组件。
+ * @param {Object} props - 组件的属性。
+ * @param {*} secondArg - 传给组件的第二个参数，forwardRef 组件为 ref。
+ * @param {number} nextRenderLanes - 本次渲染的优先级。
+ * @returns {*} - 组件返回的子节点。
+ */
+export function renderWithHooks(
+  current,
+  workInProgress,
+  Component,
+  props,
+  secondArg,
+  nextRenderLanes
+) {
+  renderLanes = nextRenderLanes;
+  currentlyRenderingFiber = workInProgress;
+  // 本次渲染会重新构建 hook 链表和 effect 链表
+  workInProgress.memoizedState = null;
+  workInProgress.updateQueue = null;
+
+  // 首次渲染和更新使用不同的调度器
+  ReactCurrentDispatcher.current =
+    current !== null && current.memoizedState !== null
+      ? HooksDispatcherOnUpdate
+      : HooksDispatcherOnMount;
+
+  const children = Component(props, secondArg);
+
+  // 渲染结束后重置，组件外调用 hook 会报错
+  ReactCurrentDispatcher.current = null;
+  renderLanes = NoLanes;
+  currentlyRenderingFiber = null;
+  currentHook = null;
+  workInProgressHook = null;
+
+  return children;
+}
+
+/**
+ * 函数组件渲染过程中抛出错误时调用，重置渲染期间的状态。
+ */
+export function resetHooksAfterThrow() {
+  ReactCurrentDispatcher.current = null;
+  renderLanes = NoLanes;
+  currentlyRenderingFiber = null;
+  currentHook = null;
+  workInProgressHook = null;
+}
+
+/**
+ * 首次渲染时创建一个新的 hook，追加到 hook 链表的末尾。
+ * @returns {Object} - 新的 hook。
+ */
+function mountWorkInProgressHook() {
+  const hook = {
+    // hook 的当前状态
+    memoizedState: null,
+    // 处理更新队列时的起始状态
+    baseState: null,
+    // 尚未处理完的更新组成的环形链表
+    baseQueue: null,
+    // 更新队列
+    queue: null,
+    // 下一个 hook
+    next: null,
+  };
+  if (workInProgressHook === null) {
+    currentlyRenderingFiber.memoizedState = workInProgressHook = hook;
+  } else {
+    workInProgressHook = workInProgressHook.next = hook;
+  }
+  return workInProgressHook;
+}
+
+/**
+ * 更新时按顺序取出 current Fiber 上对应的老 hook，复制出一个新的 hook 追加到链表末尾。
+ * @returns {Object} - 新的 hook。
+ */
+function updateWorkInProgressHook() {
+  const nextCurrentHook =
+    currentHook === null
+      ? currentlyRenderingFiber.alternate.memoizedState
+      : currentHook.next;
+  if (nextCurrentHook === null) {
+    throw new Error(
+      '本次渲染调用的 Hook 比上一次渲染多，Hook 不能在条件语句或循环中调用。'
+    );
+  }
+  currentHook = nextCurrentHook;
+
+  const newHook = {
+    memoizedState: currentHook.memoizedState,
+    baseState: currentHook.baseState,
+    baseQueue: currentHook.baseQueue,
+    queue: currentHook.queue,
+    next: null,
+  };
+  if (workInProgressHook === null) {
+    currentlyRenderingFiber.memoizedState = workInProgressHook = newHook;
+  } else {
+    workInProgressHook = workInProgressHook.next = newHook;
+  }
+  return workInProgressHook;
+}
+
+/**
+ * useState 使用的 reducer：action 可以是新状态，也可以是 prevState => newState 函数。
+ */
+function basicStateReducer(state, action) {
+  return typeof action === 'function' ? action(state) : action;
+}
+
+function mountReducer(reducer, initialArg, init) {
+  const hook = mountWorkInProgressHook();
+  const initialState = init !== undefined ? init(initialArg) : initialArg;
+  hook.memoizedState = hook.baseState = initialState;
+  const queue = {
+    // 新入队的更新组成的环形链表，pending 指向最后一个更新
+    pending: null,
+    dispatch: null,
+    // 上一次渲染使用的 reducer 和得到的状态，用于提前计算新状态
+    lastRenderedReducer: reducer,
+    lastRenderedState: initialState,
+  };
+  hook.queue = queue;
+  const dispatch = (queue.dispatch = dispatchAction.bind(
+    null,
+    currentlyRenderingFiber,
+    queue
+  ));
+  return [hook.memoizedState, dispatch];
+}
+
+function updateReducer(reducer) {
+  const hook = updateWorkInProgressHook();
+  const queue = hook.queue;
+  queue.lastRenderedReducer = reducer;
+
+  const current = currentHook;
+  let baseQueue = current.baseQueue;
+  // 将新入队的更新合并到 baseQueue 中
+  const pendingQueue = queue.pending;
+  if (pendingQueue !== null) {
+    if (baseQueue !== null) {
+      const baseFirst = baseQueue.next;
+      const pendingFirst = pendingQueue.next;
+      baseQueue.next = pendingFirst;
+      pendingQueue.next = baseFirst;
+    }
+    // 保存在 current hook 上，本次渲染被丢弃时更新不会丢失
+    current.baseQueue = baseQueue = pendingQueue;
+    queue.pending = null;
+  }
+
+  if (baseQueue !== null) {
+    const first = baseQueue.next;
+    let newState = current.baseState;
+    // 下一次渲染使用的 baseState 和 baseQueue，规则与类组件的更新队列相同：
+    // 从第一个被跳过的更新开始，之后的更新都要保留下来重新处理
+    let newBaseState = null;
+    let newBaseQueueFirst = null;
+    let newBaseQueueLast = null;
+    let update = first;
+    do {
+      const updateLane = update.lane;
+      if (!isSubsetOfLanes(renderLanes, updateLane)) {
+        // 优先级不够，跳过这个更新
+        const clone = {
+          lane: updateLane,
+          action: update.action,
+          hasEagerState: update.hasEagerState,
+          eagerState: update.eagerState,
+          next: null,
+        };
+        if (newBaseQueueLast === null) {
+          newBaseQueueFirst = newBaseQueueLast = clone;
+          newBaseState = newState;
+        } else {
+          newBaseQueueLast = newBaseQueueLast.next = clone;
+        }
+        // 被跳过的更新的优先级留在 Fiber 上，之后会再次渲染
+        currentlyRenderingFiber.lanes = mergeLane(
+          currentlyRenderingFiber.lanes,
+          updateLane
+        );
+      } else {
+        if (newBaseQueueLast !== null) {
+          const clone = {
+            lane: NoLane,
+            action: update.action,
+            hasEagerState: update.hasEagerState,
+            eagerState: update.eagerState,
+            next: null,
+          };
+          newBaseQueueLast = newBaseQueueLast.next = clone;
+        }
+        // 派发时已经提前计算过的状态可以直接使用
+        newState = update.hasEagerState
+          ? update.eagerState
+          : reducer(newState, update.action);
+      }
+      update = update.next;
+    } while (update !== first);
+
+    if (newBaseQueueLast === null) {
+      newBaseState = newState;
+    } else {
+      newBaseQueueLast.next = newBaseQueueFirst;
+    }
+
+    hook.memoizedState = newState;
+    hook.baseState = newBaseState;
+    hook.baseQueue = newBaseQueueLast;
+    queue.lastRenderedState = newState;
+  }
+
+  return [hook.memoizedState, queue.dispatch];
+}
+
+function mountState(initialState) {
+  // 惰性初始化：initialState 为函数时，使用它的返回值作为初始状态
+  if (typeof initialState === 'function') {
+    initialState = initialState();
+  }
+  return mountReducer(basicStateReducer, initialState);
+}
+
+function updateState() {
+  return updateReducer(basicStateReducer);
+}
+
+/**
+ * 判断函数组件上是否没有待处理的更新（包括还没有渲染、被跳过和正在渲染的更新）。
+ * 派发更新时会同时标记 Fiber 和它的 alternate，开始渲染时只清除 workInProgress 上的 lanes，
+ * 所以渲染过程中要求两者都为 NoLanes；
+ * 提交之后，被替换下来的老 Fiber 上会残留已经处理过的 lanes，而 current 的 lanes 总是 alternate 的子集，
+ * 没有渲染在进行时，只要其中一个为 NoLanes 就说明没有待处理的更新。
+ * @param {FiberNode} fiber - 函数组件对应的 Fiber 节点（current 或 workInProgress）。
+ * @returns {boolean}
+ */
+function hasNoPendingUpdates(fiber) {
+  const alternate = fiber.alternate;
+  if (alternate === null || getWorkInProgressRoot() === null) {
+    return (
+      fiber.lanes === NoLanes ||
+      (alternate !== null && alternate.lanes === NoLanes)
+    );
+  }
+  return fiber.lanes === NoLanes && alternate.lanes === NoLanes;
+}
+
+/**
+ * 派发更新（useState 的 setState、useReducer 的 dispatch）：
+ * 将更新加入 hook 的更新队列，并按更新的优先级调度重新渲染。
+ * 如果 Fiber 上没有待处理的更新，会提前计算出新状态，新状态与当前状态相同（Object.is）时丢弃这个更新，不重新渲染。
+ * @param {FiberNode} fiber - 函数组件对应的 Fiber 节点。
+ * @param {Object} queue - hook 的更新队列。
+ * @param {*} action - 更新的内容。
+ */
+function dispatchAction(fiber, queue, action) {
+  const lane = requestUpdateLane();
+  const update = {
+    lane,
+    action,
+    // 是否已经提前计算出新状态
+    hasEagerState: false,
+    eagerState: null,
+    next: null,
+  };
+
+  if (hasNoPendingUpdates(fiber)) {
+    // lastRenderedState 就是当前状态，新状态只取决于它和这个更新，可以提前计算
+    const lastRenderedReducer = queue.lastRenderedReducer;
+    const currentState = queue.lastRenderedState;
+    const eagerState = lastRenderedReducer(currentState, action);
+    update.hasEagerState = true;
+    update.eagerState = eagerState;
+    if (Object.is(eagerState, currentState)) {
+      // 状态没有变化，不加入更新队列，也不需要重新渲染
+      return;
+    }
+  }
+
+  // 加入环形链表的末尾
+  const pending = queue.pending;
+  if (pending === null) {
+    update.next = update;
+  } else {
+    update.next = pending.next;
+    pending.next = update;
+  }
+  queue.pending = update;
+
+  scheduleUpdateOnFiber(fiber, lane);
+}
+
+/**
+ * 创建一个 effect，追加到函数组件 Fiber 的 updateQueue 上。
+ * effect 以环形链表的形式存储，updateQueue.lastEffect 指向最后一个 effect，commit 阶段从这里遍历。
+ * @param {number} tag - effect 的类型（HookInsertion/HookLayout/HookPassive），依赖变化时还会带上 HookHasEffect。
+ * @param {Function} create - effect 回调，返回值作为销毁函数。
+ * @param {Function|undefined} destroy - 上一次执行回调得到的销毁函数。
+ * @param {Array|null} deps - 依赖项。
+ * @returns {Object} - 新的 effect。
+ */
+function pushEffect(tag, create, destroy, deps) {
+  const effect = {
+    tag,
+    create,
+    destroy,
+    deps,
+    next: null,
+  };
+  let componentUpdateQueue = currentlyRenderingFiber.updateQueue;
+  if (componentUpdateQueue === null) {
+    componentUpdateQueue = currentlyRenderingFiber.updateQueue = {
+      lastEffect: null,
+    };
+  }
+  const lastEffect = componentUpdateQueue.lastEffect;
+  if (lastEffect === null) {
+    effect.next = effect;
+  } else {
+    effect.next = lastEffect.next;
+    lastEffect.next = effect;
+  }
+  componentUpdateQueue.lastEffect = effect;
+  return effect;
+}
+
+/**
+ * 逐项（Object.is）比较新老依赖项。
+ * @param {Array} nextDeps - 本次渲染的依赖项。
+ * @param {Array|null} prevDeps - 上一次渲染的依赖项。
+ * @returns {boolean} - 依赖项是否没有变化。
+ */
+function areHookInputsEqual(nextDeps, prevDeps) {
+  if (prevDeps === null) {
+    return false;
+  }
+  for (let i = 0; i < prevDeps.length && i < nextDeps.length; i++) {
+    if (Object.is(nextDeps[i], prevDeps[i])) {
+      continue;
+    }
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 首次渲染时的 effect hook：回调一定会执行。
+ * @param {number} fiberFlags - 打在 Fiber 上的副作用标记，commit 阶段据此找到需要处理的 Fiber。
+ * @param {number} hookFlags - effect 的类型。
+ */
+function mountEffectImpl(fiberFlags, hookFlags, create, deps) {
+  const hook = mountWorkInProgressHook();
+  const nextDeps = deps === undefined ? null : deps;
+  currentlyRenderingFiber.flags |= fiberFlags;
+  hook.memoizedState = pushEffect(
+    HookHasEffect | hookFlags,
+    create,
+    undefined,
+    nextDeps
+  );
+}
+
+/**
+ * 更新时的 effect hook：依赖项没有变化时仍然保留 effect（保证链表顺序和销毁函数），
+ * 但不带 HookHasEffect，commit 阶段不会执行它。
+ */
+function updateEffectImpl(fiberFlags, hookFlags, create, deps) {
+  const hook = updateWorkInProgressHook();
+  const nextDeps = deps === undefined ? null : deps;
+  const prevEffect = currentHook.memoizedState;
+  const destroy = prevEffect.destroy;
+  if (nextDeps !== null && areHookInputsEqual(nextDeps, prevEffect.deps)) {
+    hook.memoizedState = pushEffect(hookFlags, create, destroy, nextDeps);
+    return;
+  }
+  currentlyRenderingFiber.flags |= fiberFlags;
+  hook.memoizedState = pushEffect(
+    HookHasEffect | hookFlags,
+    create,
+    destroy,
+    nextDeps
+  );
+}
+
+function mountEffect(create, deps) {
+  mountEffectImpl(Passive, HookPassive, create, deps);
+}
+
+function updateEffect(create, deps) {
+  updateEffectImpl(Passive, HookPassive, create, deps);
+}
+
+function mountLayoutEffect(create, deps) {
+  mountEffectImpl(Update, HookLayout, create, deps);
+}
+
+function updateLayoutEffect(create, deps) {
+  updateEffectImpl(Update, HookLayout, create, deps);
+}
+
+function mountInsertionEffect(create, deps) {
+  mountEffectImpl(Update, HookInsertion, create, deps);
+}
+
+function updateInsertionEffect(create, deps) {
+  updateEffectImpl(Update, HookInsertion, create, deps);
+}
+
+/**
+ * useTransition 返回的 startTransition：先以当前优先级把 isPending 设为 true，
+ * 再在过渡中把 isPending 设回 false 并执行 callback，二者在同一次过渡渲染中完成。
+ * @param {Function} setPending - 设置 isPending 的 setState。
+ * @param {Function} callback - 需要以过渡优先级执行的更新。
+ */
+function startTransition(setPending, callback) {
+  setPending(true);
+  const prevTransition = ReactCurrentBatchConfig.transition;
+  ReactCurrentBatchConfig.transition = {};
+  try {
+    setPending(false);
+    callback();
+  } finally {
+    ReactCurrentBatchConfig.transition = prevTransition;
+  }
+}
+
+function mountTransition() {
+  const [isPending, setPending] = mountState(false);
+  const start = startTransition.bind(null, setPending);
+  // 单独用一个 hook 保存 start，保证每次渲染返回同一个函数
+  const hook = mountWorkInProgressHook();
+  hook.memoizedState = start;
+  return [isPending, start];
+}
+
+function updateTransition() {
+  const [isPending] = updateState();
+  const hook = updateWorkInProgressHook();
+  const start = hook.memoizedState;
+  return [isPending, start];
+}
+
+function mountDeferredValue(value) {
+  const hook = mountWorkInProgressHook();
+  hook.memoizedState = value;
+  return value;
+}
+
+/**
+ * 紧急渲染中值发生变化时，先返回上一次的值，并在 Fiber 上留下一条过渡优先级，
+ * 提交之后会以过渡优先级再次渲染，那时才返回新值。
+ */
+function updateDeferredValue(value) {
+  const hook = updateWorkInProgressHook();
+  const prevValue = currentHook.memoizedState;
+  if (includesOnlyNonUrgentLanes(renderLanes)) {
+    // 不紧急的渲染，直接使用新值
+    hook.memoizedState = value;
+    return value;
+  }
+  if (!Object.is(value, prevValue)) {
+    const deferredLane = claimNextTransitionLane();
+    currentlyRenderingFiber.lanes = mergeLane(
+      currentlyRenderingFiber.lanes,
+      deferredLane
+    );
+  }
+  return prevValue;
+}
+
+/**
+ * useRef：首次渲染时创建 ref 对象并保存在 hook 上，之后每次渲染返回同一个对象。
+ */
+function mountRef(initialValue) {
+  const hook = mountWorkInProgressHook();
+  const ref = { current: initialValue };
+  hook.memoizedState = ref;
+  return ref;
+}
+
+function updateRef() {
+  const hook = updateWorkInProgressHook();
+  return hook.memoizedState;
+}
+
+// 首次渲染使用的 hooks
+const HooksDispatcherOnMount = {
+  useReducer: mountReducer,
+  useState: mountState,
+  useEffect: mountEffect,
+  useLayoutEffect: mountLayoutEffect,
+  useInsertionEffect: mountInsertionEffect,
+  useTransition: mountTransition,
+  useDeferredValue: mountDeferredValue,
+  useRef: mountRef,
+  useContext: readContext,
+};
+
+// 更新时使用的 hooks
+const HooksDispatcherOnUpdate = {
+  useReducer: updateReducer,
+  useState: updateState,
+  useEffect: updateEffect,
+  useLayoutEffect: updateLayoutEffect,
+  useInsertionEffect: updateInsertionEffect,
+  useTransition: updateTransition,
+  useDeferredValue: updateDeferredValue,
+  useRef: updateRef,
+  useContext: readContext,
+};
@@ -0,0 +1,133 @@
+// 宿主环境配置：协调器通过这里创建、更新、插入和删除宿主节点，不直接依赖 DOM，
+// 因此同一个协调器可以渲染到不同的目标（浏览器 DOM、测试用的内存树等）。
+// 每个根节点在创建时指定自己的宿主环境配置，渲染和提交这个根节点之前由 workLoop 切换为它的配置。
+
+/**
+ * @typedef {Object} HostConfig
+ * @property {(type: string, props: Object, internalInstanceHandle: Object) => *} createInstance
+ *   创建宿主节点（例如 DOM 元素），internalInstanceHandle 是对应的 Fiber 节点。
+ * @property {(text: string, internalInstanceHandle: Object) => *} createTextInstance - 创建文本节点。
+ * @property {(parentInstance: *, child: *) => void} appendInitialChild
+ *   首次挂载时，把子节点添加到刚创建、还没有插入的父节点中。
+ * @property {(instance: *, type: string, props: Object) => void} finalizeInitialChildren
+ *   子节点添加完之后设置初始属性。
+ * @property {(type: string, props: Object) => boolean} shouldSetTextContent
+ *   字符串或数字子节点是否直接作为节点的文本内容，为 false 时会为它创建文本 Fiber。
+ * @property {(instance: *, type: string, oldProps: Object, newProps: Object) => *} prepareUpdate
+ *   比较新老属性，返回更新负载，没有变化时返回 null。
+ * @property {(instance: *, updatePayload: *, newProps: Object) => void} commitUpdate - 应用更新负载。
+ * @property {(textInstance: *, newText: string) => void} commitTextUpdate - 更新文本内容。
+ * @property {(instance: *) => void} resetTextContent - 清空节点的文本内容。
+ * @property {(parent: *, child: *) => void} appendChild - 把子节点追加到父节点（或容器）末尾。
+ * @property {(parent: *, child: *, beforeChild: *) => void} insertBefore - 把子节点插入到 beforeChild 之前。
+ * @property {(parent: *, child: *) => void} removeChild - 从父节点（或容器）中移除子节点。
+ * @property {(instance: *) => *} getPublicInstance - ref 拿到的对象。
+ * @property {(container: *) => void} preparePortalMount - Portal 首次挂载到容器之前调用。
+ *
+ * 以下是注水用到的函数，只有支持注水（hydrateRoot）的宿主环境需要提供：
+ * @property {(parentInstance: *) => *} [getFirstHydratableChild] - 第一个可以认领的子节点。
+ * @property {(instance: *) => *} [getNextHydratableSibling] - 下一个可以认领的兄弟节点。
+ * @property {(instance: *, type: string) => boolean} [canHydrateInstance] - 节点能否被该类型的元素认领。
+ * @property {(instance: *) => boolean} [canHydrateTextInstance] - 节点能否被文本认领。
+ * @property {(instance: *, props: Object, internalInstanceHandle: Object) => void} [hydrateInstance]
+ *   关联认领到的节点和 Fiber。
+ * @property {(instance: *) => string} [getTextContent] - 节点的文本内容，用于比较。
+ * @property {(instance: *) => string} [describeHydratableInstance] - 描述节点，用于报告不一致。
+ */
+
+// 正在渲染或提交的根节点使用的宿主环境配置
+let currentHostConfig = null;
+
+/**
+ * 切换为根节点的宿主环境配置。
+ * @param {HostConfig} hostConfig - 宿主环境配置。
+ */
+export function setCurrentHostConfig(hostConfig) {
+  currentHostConfig = hostConfig;
+}
+
+export function createInstance(type, props, internalInstanceHandle) {
+  return currentHostConfig.createInstance(type, props, internalInstanceHandle);
+}
+
+export function createTextInstance(text, internalInstanceHandle) {
+  return currentHostConfig.createTextInstance(text, internalInstanceHandle);
+}
+
+export function appendInitialChild(parentInstance, child) {
+  currentHostConfig.appendInitialChild(parentInstance, child);
+}
+
+export function finalizeInitialChildren(instance, type, props) {
+  currentHostConfig.finalizeInitialChildren(instance, type, props);
+}
+
+export function shouldSetTextContent(type, props) {
+  return currentHostConfig.shouldSetTextContent(type, props);
+}
+
+export function prepareUpdate(instance, type, oldProps, newProps) {
+  return currentHostConfig.prepareUpdate(instance, type, oldProps, newProps);
+}
+
+export function commitUpdate(instance, updatePayload, newProps) {
+  currentHostConfig.commitUpdate(instance, updatePayload, newProps);
+}
+
+export function commitTextUpdate(textInstance, newText) {
+  currentHostConfig.commitTextUpdate(textInstance, newText);
+}
+
+export function resetTextContent(instance) {
+  currentHostConfig.resetTextContent(instance);
+}
+
+export function appendChild(parent, child) {
+  currentHostConfig.appendChild(parent, child);
+}
+
+export function insertBefore(parent, child, beforeChild) {
+  currentHostConfig.insertBefore(parent, child, beforeChild);
+}
+
+export function removeChild(parent, child) {
+  currentHostConfig.removeChild(parent, child);
+}
+
+export function getPublicInstance(instance) {
+  return currentHostConfig.getPublicInstance(instance);
+}
+
+export function preparePortalMount(container) {
+  currentHostConfig.preparePortalMount(container);
+}
+
+/* ------------------------------- 注水 ------------------------------- */
+
+export function getFirstHydratableChild(parentInstance) {
+  return currentHostConfig.getFirstHydratableChild(parentInstance);
+}
+
+export function getNextHydratableSibling(instance) {
+  return currentHostConfig.getNextHydratableSibling(instance);
+}
+
+export function canHydrateInstance(instance, type) {
+  return currentHostConfig.canHydrateInstance(instance, type);
+}
+
+export function canHydrateTextInstance(instance) {
+  return currentHostConfig.canHydrateTextInstance(instance);
+}
+
+export function hydrateInstance(instance, props, internalInstanceHandle) {
+  currentHostConfig.hydrateInstance(instance, props, internalInstanceHandle);
+}
+
+export function getTextContent(instance) {
+  return currentHostConfig.getTextContent(instance);
+}
+
+export function describeHydratableInstance(instance) {
+  return currentHostConfig.describeHydratableInstance(instance);
+}
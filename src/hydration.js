@@ -0,0 +1,251 @@
+import {
+  ChildDeletion,
+  HostComponent,
+  HostRoot,
+  HostText,
+  Placement,
+  Update,
+} from './constants.js';
+import { createFiberFromHostInstanceForDeletion } from './fiber.js';
+import {
+  canHydrateInstance,
+  canHydrateTextInstance,
+  describeHydratableInstance,
+  getFirstHydratableChild,
+  getNextHydratableSibling,
+  getTextContent,
+  hydrateInstance,
+  shouldSetTextContent,
+} from './hostConfig.js';
+import { getComponentStack } from './throwException.js';
+
+// 注水：首次渲染时不创建新的 DOM，而是沿着 Fiber 树遍历服务端渲染好的 DOM，认领类型相同的节点作为 stateNode。
+// 结构不一致时，这个节点及其子树改为客户端渲染（创建新的 DOM 并插入），没有被认领的 DOM 节点在提交阶段删除。
+// 遍历和比较宿主节点的方法由宿主环境配置提供。
+
+// 最近一个已经认领了 DOM 的宿主 Fiber 节点（HostRoot 或 HostComponent），它的 DOM 是下一个待认领节点的父节点
+let hydrationParentFiber = null;
+// 下一个等待认领的 DOM 节点
+let nextHydratableInstance = null;
+// 是否正在注水；进入客户端渲染的子树时为 false，完成该子树后恢复
+let isHydrating = false;
+
+/**
+ * 报告服务端渲染的 DOM 与客户端渲染的结果不一致。
+ * @param {string} message - 不一致的描述。
+ * @param {FiberNode} fiber - 发生不一致的位置。
+ */
+function warnForMismatch(message, fiber) {
+  console.error(`注水失败：${message}${getComponentStack(fiber)}`);
+}
+
+/**
+ * 描述 Fiber 节点期望的 DOM，用于不一致时的报告。
+ * @param {FiberNode} fiber - HostComponent 或 HostText 节点。
+ * @returns {string}
+ */
+function describeFiber(fiber) {
+  return fiber.tag === HostText
+    ? `文本 "${fiber.pendingProps}"`
+    : `<${fiber.type}>`;
+}
+
+/**
+ * 开始注水：从根容器的第一个子节点开始认领。
+ * @param {FiberNode} fiber - HostRoot 对应的 Fiber 节点。
+ */
+export function enterHydrationState(fiber) {
+  hydrationParentFiber = fiber;
+  nextHydratableInstance = getFirstHydratableChild(fiber.stateNode.container);
+  isHydrating = true;
+}
+
+/**
+ * 重置注水状态。开始新的渲染时调用，避免被打断的注水影响其他根节点。
+ */
+export function resetHydrationState() {
+  hydrationParentFiber = null;
+  nextHydratableInstance = null;
+  isHydrating = false;
+}
+
+/**
+ * 判断宿主节点能否被 Fiber 认领：元素的类型相同，或者都是文本节点（内容在 completeWork 中比较）。
+ */
+function canHydrate(fiber, instance) {
+  if (fiber.tag === HostText) {
+    return canHydrateTextInstance(instance);
+  }
+  return canHydrateInstance(instance, fiber.type);
+}
+
+/**
+ * 认领 DOM 节点：作为 Fiber 的 stateNode，接下来认领它的子节点。
+ */
+function claimHydratableInstance(fiber, instance) {
+  fiber.stateNode = instance;
+  hydrationParentFiber = fiber;
+  nextHydratableInstance =
+    fiber.tag === HostComponent ? getFirstHydratableChild(instance) : null;
+}
+
+/**
+ * 把多余的 DOM 节点加入父 Fiber 的 deletions 中，提交阶段移除。
+ * @param {FiberNode} returnFiber - 已经认领了父 DOM 的宿主 Fiber 节点。
+ * @param {Node} instance - 多余的 DOM 节点。
+ */
+function deleteHydratableInstance(returnFiber, instance) {
+  const childToDelete = createFiberFromHostInstanceForDeletion(instance);
+  childToDelete.return = returnFiber;
+  const deletions = returnFiber.deletions;
+  if (deletions === null) {
+    returnFiber.deletions = [childToDelete];
+    returnFiber.flags |= ChildDeletion;
+  } else {
+    deletions.push(childToDelete);
+  }
+}
+
+/**
+ * beginWork 处理 HostComponent、HostText 时调用：尝试认领下一个 DOM 节点。
+ * 下一个节点不匹配时再尝试它后面的一个节点（服务端多渲染了一个节点的情况），匹配则删除前一个；
+ * 仍然不匹配时放弃这个 Fiber 的注水：它和它的子树改为客户端渲染，打上 Placement 插入新的 DOM。
+ * @param {FiberNode} fiber - 首次渲染的 HostComponent 或 HostText 节点。
+ */
+export function tryToClaimNextHydratableInstance(fiber) {
+  if (!isHydrating) {
+    return;
+  }
+  const firstAttemptedInstance = nextHydratableInstance;
+  if (
+    firstAttemptedInstance !== null &&
+    canHydrate(fiber, firstAttemptedInstance)
+  ) {
+    claimHydratableInstance(fiber, firstAttemptedInstance);
+    return;
+  }
+  const secondAttemptedInstance =
+    firstAttemptedInstance !== null
+      ? getNextHydratableSibling(firstAttemptedInstance)
+      : null;
+  if (
+    secondAttemptedInstance !== null &&
+    canHydrate(fiber, secondAttemptedInstance)
+  ) {
+    warnForMismatch(
+      `服务端渲染的 HTML 中多出了 ${describeHydratableInstance(firstAttemptedInstance)}。`,
+      fiber
+    );
+    deleteHydratableInstance(hydrationParentFiber, firstAttemptedInstance);
+    claimHydratableInstance(fiber, secondAttemptedInstance);
+    return;
+  }
+  warnForMismatch(
+    firstAttemptedInstance === null
+      ? `服务端渲染的 HTML 中缺少 ${describeFiber(fiber)}。`
+      : `期望 ${describeFiber(fiber)}，服务端渲染的是 ${describeHydratableInstance(
+          firstAttemptedInstance
+        )}。`,
+    fiber
+  );
+  // 子树改为客户端渲染，completeWork 回到这个 Fiber 时恢复注水，继续认领它的兄弟节点
+  fiber.flags |= Placement;
+  isHydrating = false;
+  hydrationParentFiber = fiber;
+}
+
+/**
+ * 回到上一个宿主父 Fiber 节点。
+ */
+function popToNextHostParent(fiber) {
+  let parent = fiber.return;
+  while (
+    parent !== null &&
+    parent.tag !== HostComponent &&
+    parent.tag !== HostRoot
+  ) {
+    parent = parent.return;
+  }
+  hydrationParentFiber = parent;
+}
+
+/**
+ * completeWork 处理宿主节点时调用，判断这个节点是否是注水得到的，并回到父节点继续认领兄弟节点。
+ * 认领了 DOM 的元素完成时，它下面没有被认领的 DOM 节点都是多余的，需要删除。
+ * @param {FiberNode} fiber - 完成的 HostRoot、HostComponent 或 HostText 节点。
+ * @returns {boolean} - 是否复用了服务端渲染的 DOM。
+ */
+export function popHydrationState(fiber) {
+  if (fiber !== hydrationParentFiber) {
+    // 客户端渲染的子树中的节点
+    return false;
+  }
+  if (!isHydrating) {
+    // 改为客户端渲染的节点本身：恢复注水，继续认领它的兄弟节点
+    popToNextHostParent(fiber);
+    isHydrating = true;
+    return false;
+  }
+  // 子节点是文本内容的元素，文本在 prepareToHydrateHostInstance 中单独比较
+  const shouldDeleteRemaining =
+    fiber.tag === HostRoot ||
+    (fiber.tag === HostComponent &&
+      !shouldSetTextContent(fiber.type, fiber.pendingProps));
+  if (shouldDeleteRemaining) {
+    let instance = nextHydratableInstance;
+    while (instance !== null) {
+      warnForMismatch(
+        `服务端渲染的 HTML 中多出了 ${describeHydratableInstance(instance)}。`,
+        fiber
+      );
+      deleteHydratableInstance(fiber, instance);
+      instance = getNextHydratableSibling(instance);
+    }
+  }
+  popToNextHostParent(fiber);
+  nextHydratableInstance =
+    hydrationParentFiber !== null && fiber.tag !== HostRoot
+      ? getNextHydratableSibling(fiber.stateNode)
+      : null;
+  return true;
+}
+
+/**
+ * 完成注水得到的元素：只关联 Fiber 和事件处理函数，不重新设置属性。
+ * 文本内容与服务端渲染的不一致时以客户端为准，提交阶段更新。
+ * @param {FiberNode} fiber - 注水得到的 HostComponent 节点。
+ */
+export function prepareToHydrateHostInstance(fiber) {
+  const instance = fiber.stateNode;
+  const props = fiber.pendingProps;
+  hydrateInstance(instance, props, fiber);
+  const children = props.children;
+  if (
+    fiber.type !== 'textarea' &&
+    shouldSetTextContent(fiber.type, props) &&
+    getTextContent(instance) !== `${children}`
+  ) {
+    warnForMismatch(
+      `文本内容不一致，服务端："${getTextContent(instance)}"，客户端："${children}"。`,
+      fiber
+    );
+    fiber.updateQueue = ['children', children];
+    fiber.flags |= Update;
+  }
+}
+
+/**
+ * 完成注水得到的文本节点：内容与服务端渲染的不一致时以客户端为准，提交阶段更新。
+ * @param {FiberNode} fiber - 注水得到的 HostText 节点。
+ */
+export function prepareToHydrateHostTextInstance(fiber) {
+  const textInstance = fiber.stateNode;
+  const text = fiber.pendingProps;
+  if (getTextContent(textInstance) !== text) {
+    warnForMismatch(
+      `文本内容不一致，服务端："${getTextContent(textInstance)}"，客户端："${text}"。`,
+      fiber
+    );
+    fiber.flags |= Update;
+  }
+}
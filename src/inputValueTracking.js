@@ -0,0 +1,102 @@
+/**
+ * 记录输入框的值：拦截 DOM 元素上 value（复选框和单选框是 checked）的赋值，
+ * 记录下最后一次由代码设置的值。原生 input、click 等事件触发时与当前的值比较，
+ * 值真的发生了变化才触发 onChange。
+ */
+
+function isCheckable(elem) {
+  const type = elem.type;
+  const nodeName = elem.nodeName;
+  return (
+    nodeName &&
+    nodeName.toLowerCase() === 'input' &&
+    (type === 'checkbox' || type === 'radio')
+  );
+}
+
+function getValueFromNode(node) {
+  if (!node) {
+    return '';
+  }
+  return isCheckable(node) ? (node.checked ? 'true' : 'false') : node.value;
+}
+
+function trackValueOnNode(node) {
+  const valueField = isCheckable(node) ? 'checked' : 'value';
+  const descriptor = Object.getOwnPropertyDescriptor(
+    node.constructor.prototype,
+    valueField
+  );
+  let currentValue = '' + node[valueField];
+
+  // 已经被拦截过，或者环境不支持拦截
+  if (
+    Object.prototype.hasOwnProperty.call(node, valueField) ||
+    !descriptor ||
+    typeof descriptor.get !== 'function' ||
+    typeof descriptor.set !== 'function'
+  ) {
+    return null;
+  }
+  const { get, set } = descriptor;
+  Object.defineProperty(node, valueField, {
+    configurable: true,
+    get() {
+      return get.call(this);
+    },
+    set(value) {
+      currentValue = '' + value;
+      set.call(this, value);
+    },
+  });
+  Object.defineProperty(node, valueField, {
+    enumerable: descriptor.enumerable,
+  });
+
+  return {
+    getValue() {
+      return currentValue;
+    },
+    setValue(value) {
+      currentValue = '' + value;
+    },
+    stopTracking() {
+      node._valueTracker = null;
+      delete node[valueField];
+    },
+  };
+}
+
+/**
+ * 开始记录输入框的值，同一个元素只记录一次。
+ * @param {HTMLElement} node - input 或 textarea 元素。
+ */
+export function track(node) {
+  if (node._valueTracker) {
+    return;
+  }
+  node._valueTracker = trackValueOnNode(node);
+}
+
+/**
+ * 比较输入框当前的值和记录的值，不同时更新记录。
+ * @param {HTMLElement} node - input 或 textarea 元素。
+ * @returns {boolean} - 值是否发生了变化。
+ */
+export function updateValueIfChanged(node) {
+  if (!node) {
+    return false;
+  }
+  const tracker = node._valueTracker;
+  // 没有记录的元素，认为值总是发生了变化
+  if (!tracker) {
+    return true;
+  }
+  const lastValue = tracker.getValue();
+  const nextValue = getValueFromNode(node);
+  if (nextValue !== lastValue) {
+    tracker.setValue(nextValue);
+    return true;
+  }
+  return false;
+}
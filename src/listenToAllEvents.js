@@ -1,89 +1,534 @@
-import { HostComponent } from './constants.js';
+import * as ChangeEventPlugin from './changeEventPlugin.js';
+import { HostComponent, HostPortal, HostRoot } from './constants.js';
+import {
+  needsStateRestore,
+  restoreStateIfNeeded,
+} from './controlledComponent.js';
+import * as EnterLeaveEventPlugin from './enterLeaveEventPlugin.js';
+import {
+  getCurrentUpdatePriority,
+  getEventPriority,
+  setCurrentUpdatePriority,
+} from './eventPriorities.js';
+import { allNativeEvents, nonDelegatedEvents } from './eventRegistry.js';
+import { ReactCurrentBatchConfig } from './react.js';
+import * as SimpleEventPlugin from './simpleEventPlugin.js';
+import { batchedUpdates, flushSync } from './workLoop.js';
 
-const allEvents = ['click', 'mousedown', 'mouseup', 'dblclick'];
+// 各个事件插件登记自己处理的事件
+SimpleEventPlugin.registerEvents();
+EnterLeaveEventPlugin.registerEvents();
+ChangeEventPlugin.registerEvents();
+
+// 使用被动监听器的事件：浏览器不必等待监听器执行完就可以开始滚动
+const passiveEvents = new Set(['touchstart', 'touchmove', 'wheel']);
+
+// 是否正在分发事件，事件处理函数中再触发的事件（例如调用了 element.click()）不会重复处理受控组件
+let isInsideEventHandler = false;
+
+// 标记容器已经添加过事件监听器，同一个容器只监听一次
+const listeningMarker = '_reactListening' + Math.random().toString(36).slice(2);
+
+/**
+ * 判断 DOM 节点是否是添加了事件监听器的根容器。
+ * @param {Node} node - DOM 节点。
+ * @returns {boolean}
+ */
+export function isRootContainer(node) {
+  return !!node[listeningMarker];
+}
+
+/**
+ * 从 DOM 节点开始向上查找，返回最近的由 React 渲染的元素对应的 Fiber 节点。
+ * @param {Node} node - DOM 节点，可以是文本节点。
+ * @returns {Fiber|null}
+ */
+export function getClosestInstanceFromNode(node) {
+  let currentNode = node;
+  while (currentNode) {
+    if (currentNode.internalFiber) {
+      return currentNode.internalFiber;
+    }
+    // 到达根容器，再往上就不是这个根渲染的元素了
+    if (isRootContainer(currentNode)) {
+      return null;
+    }
+    currentNode = currentNode.parentNode;
+  }
+  return null;
+}
+
+/**
+ * 沿着 Fiber 树向上查找，返回节点所在的根节点或 Portal 的 DOM 容器。
+ * @param {Fiber} fiber - Fiber 节点。
+ * @returns {HTMLElement|null}
+ */
+function getContainerOfInstance(fiber) {
+  let node = fiber;
+  while (node !== null) {
+    if (node.tag === HostRoot || node.tag === HostPortal) {
+      return node.stateNode.container;
+    }
+    node = node.return;
+  }
+  return null;
+}
+
+/**
+ * 禁用的表单元素不响应鼠标事件。
+ */
+function shouldPreventMouseEvent(name, type, props) {
+  switch (name) {
+    case 'onClick':
+    case 'onClickCapture':
+    case 'onDoubleClick':
+    case 'onDoubleClickCapture':
+    case 'onMouseDown':
+    case 'onMouseDownCapture':
+    case 'onMouseMove':
+    case 'onMouseMoveCapture':
+    case 'onMouseUp':
+    case 'onMouseUpCapture':
+    case 'onMouseEnter':
+      return (
+        !!props.disabled &&
+        (type === 'button' ||
+          type === 'input' ||
+          type === 'select' ||
+          type === 'textarea')
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * 获取宿主组件 Fiber 节点上绑定的事件处理函数。
+ * @param {Fiber} fiber - 宿主组件对应的 Fiber 节点。
+ * @param {string} registrationName - React 事件名，例如 'onClick'。
+ * @returns {Function|null}
+ */
+function getListener(fiber, registrationName) {
+  // 从 DOM 元素上记录的最新属性中获取事件处理函数
+  // 不直接读取 fiber.memoizedProps，因为更新后 DOM 关联的 Fiber 可能是旧的备用节点
+  const props = fiber.stateNode.internalProps;
+  if (!props) {
+    return null;
+  }
+  const listener = props[registrationName];
+  if (shouldPreventMouseEvent(registrationName, fiber.type, props)) {
+    return null;
+  }
+  if (listener && typeof listener !== 'function') {
+    throw new Error(
+      `\`${registrationName}\` 的值应该是一个函数，而不是 \`${typeof listener}\` 类型的值。`
+    );
+  }
+  return listener || null;
+}
 
 /**
- * 从指定的 Fiber 节点开始向上遍历 Fiber 树，收集所有绑定了特定 React 事件监听器的函数。
- * @param {string} reactEventName - React 事件名，例如 'onClick'、'onMouseDown' 等。
- * @param {Object} fiber - 起始的 Fiber 节点，从此节点开始向上遍历。
- * @returns {Array<Function>} - 包含所有收集到的事件监听器函数的数组。
+ * 从指定的 Fiber 节点开始向上遍历 Fiber 树，收集单个阶段（捕获或冒泡）绑定了特定 React 事件监听器的函数。
+ * @param {Fiber|null} targetFiber - 起始的 Fiber 节点，从此节点开始向上遍历。
+ * @param {string} reactName - React 事件名，例如 'onClick'、'onMouseDown' 等。
+ * @param {boolean} inCapturePhase - 是否处于捕获阶段，捕获阶段收集 onClickCapture 这样的监听器。
+ * @param {boolean} accumulateTargetOnly - 是否只收集目标元素自己的监听器（原生不冒泡的事件）。
+ * @returns {Array<{listener: Function, currentTarget: HTMLElement}>} - 收集到的事件监听器及其所在的 DOM 元素，从内到外排列。
  */
-function accumulateListeners(reactEventName, fiber) {
-  // 初始化一个空数组，用于存储收集到的事件监听器函数
+export function accumulateSinglePhaseListeners(
+  targetFiber,
+  reactName,
+  inCapturePhase,
+  accumulateTargetOnly
+) {
+  const reactEventName = inCapturePhase ? reactName + 'Capture' : reactName;
+  // 初始化一个空数组，用于存储收集到的事件监听器
   const listeners = [];
   // 当前正在处理的 Fiber 节点，初始值为传入的起始 Fiber 节点
-  let currentFiber = fiber;
+  let currentFiber = targetFiber;
 
   // 当 currentFiber 存在时，持续向上遍历 Fiber 树
   while (currentFiber) {
     // 检查当前 Fiber 节点是否为宿主组件（如 div、span 等 DOM 元素对应的 Fiber 节点）
     // 并且该节点是否有对应的 DOM 元素（存储在 stateNode 中）
     if (currentFiber.tag === HostComponent && currentFiber.stateNode) {
-      // 从当前 Fiber 节点的 memoizedProps 中获取指定 React 事件名对应的监听器函数
-      const listener = currentFiber.memoizedProps[reactEventName];
+      const listener = getListener(currentFiber, reactEventName);
       // 若存在对应的监听器函数
       if (listener) {
-        // 将监听器函数添加到 listeners 数组中
-        listeners.push(listener);
+        // 记录监听器和它所在的 DOM 元素，执行时作为 event.currentTarget
+        listeners.push({ listener, currentTarget: currentFiber.stateNode });
       }
     }
+    if (accumulateTargetOnly) {
+      break;
+    }
     // 将 currentFiber 更新为其父 Fiber 节点，继续向上遍历
     currentFiber = currentFiber.return;
   }
 
-  // 返回收集到的所有事件监听器函数组成的数组
+  // 返回收集到的所有事件监听器
+  return listeners;
+}
+
+/**
+ * 一次收集捕获和冒泡两个阶段的监听器，按执行顺序排列：
+ * 先是从根节点到目标元素的捕获监听器，然后是从目标元素到根节点的冒泡监听器。
+ * 用于只在冒泡阶段提取事件的插件（例如 onChange）。
+ * @param {Fiber} targetFiber - 目标元素对应的 Fiber 节点。
+ * @param {string} reactName - React 事件名，例如 'onChange'。
+ * @returns {Array<{listener: Function, currentTarget: HTMLElement}>}
+ */
+export function accumulateTwoPhaseListeners(targetFiber, reactName) {
+  const captureName = reactName + 'Capture';
+  const listeners = [];
+  let currentFiber = targetFiber;
+  while (currentFiber) {
+    if (currentFiber.tag === HostComponent && currentFiber.stateNode) {
+      const currentTarget = currentFiber.stateNode;
+      const captureListener = getListener(currentFiber, captureName);
+      if (captureListener) {
+        listeners.unshift({ listener: captureListener, currentTarget });
+      }
+      const bubbleListener = getListener(currentFiber, reactName);
+      if (bubbleListener) {
+        listeners.push({ listener: bubbleListener, currentTarget });
+      }
+    }
+    currentFiber = currentFiber.return;
+  }
   return listeners;
 }
 
-class SyntheticEvent {
-  constructor(event) {
-    this.nativeEvent = event;
+/**
+ * 获取上一级宿主组件对应的 Fiber 节点。
+ */
+function getParent(fiber) {
+  let parent = fiber.return;
+  while (parent && parent.tag !== HostComponent) {
+    parent = parent.return;
+  }
+  return parent;
+}
 
-    Object.keys(event).forEach((key) => {
-      if (key === 'preventDefault') {
-        this[key] = function () {};
-      } else if (key === 'stopPropagation') {
-        this[key] = function () {};
-      } else {
-        this[key] = event[key];
+/**
+ * 获取两个宿主组件 Fiber 节点最近的公共祖先。
+ * 事件目标关联的 Fiber 可能是旧的备用节点，比较时同时考虑 alternate。
+ */
+function getLowestCommonAncestor(instA, instB) {
+  let depthA = 0;
+  for (let node = instA; node; node = getParent(node)) {
+    depthA++;
+  }
+  let depthB = 0;
+  for (let node = instB; node; node = getParent(node)) {
+    depthB++;
+  }
+  let nodeA = instA;
+  let nodeB = instB;
+  // 先让较深的节点向上走到同一深度
+  while (depthA - depthB > 0) {
+    nodeA = getParent(nodeA);
+    depthA--;
+  }
+  while (depthB - depthA > 0) {
+    nodeB = getParent(nodeB);
+    depthB--;
+  }
+  // 再一起向上，直到相遇
+  let depth = depthA;
+  while (depth--) {
+    if (nodeA === nodeB || nodeA === nodeB.alternate) {
+      return nodeA;
+    }
+    nodeA = getParent(nodeA);
+    nodeB = getParent(nodeB);
+  }
+  return null;
+}
+
+/**
+ * 收集从 target 到 common（不包括）路径上的 onMouseEnter、onMouseLeave 等监听器。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {SyntheticEvent} event - 合成事件。
+ * @param {Fiber} target - 起始的 Fiber 节点。
+ * @param {Fiber|null} common - 公共祖先。
+ * @param {boolean} inOrderFromRoot - 是否按从根节点到 target 的顺序执行（进入事件）。
+ */
+function accumulateEnterLeaveListenersForEvent(
+  dispatchQueue,
+  event,
+  target,
+  common,
+  inOrderFromRoot
+) {
+  const registrationName = event._reactName;
+  const listeners = [];
+  let instance = target;
+  while (instance) {
+    if (common && (instance === common || instance === common.alternate)) {
+      break;
+    }
+    if (instance.tag === HostComponent && instance.stateNode) {
+      const listener = getListener(instance, registrationName);
+      if (listener) {
+        const entry = { listener, currentTarget: instance.stateNode };
+        if (inOrderFromRoot) {
+          listeners.unshift(entry);
+        } else {
+          listeners.push(entry);
+        }
+      }
+    }
+    instance = instance.return;
+  }
+  if (listeners.length > 0) {
+    dispatchQueue.push({ event, listeners });
+  }
+}
+
+/**
+ * 收集鼠标从 from 移动到 to 时需要执行的监听器：
+ * 先从 from 向上到公共祖先依次执行 onMouseLeave，再从公共祖先向下到 to 依次执行 onMouseEnter。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {SyntheticEvent} leaveEvent - 离开事件。
+ * @param {SyntheticEvent} enterEvent - 进入事件。
+ * @param {Fiber|null} from - 离开的元素对应的 Fiber 节点，null 表示从 React 管理范围之外移入。
+ * @param {Fiber|null} to - 进入的元素对应的 Fiber 节点，null 表示移出到 React 管理范围之外。
+ */
+export function accumulateEnterLeaveTwoPhaseListeners(
+  dispatchQueue,
+  leaveEvent,
+  enterEvent,
+  from,
+  to
+) {
+  const common = from && to ? getLowestCommonAncestor(from, to) : null;
+  if (from) {
+    accumulateEnterLeaveListenersForEvent(
+      dispatchQueue,
+      leaveEvent,
+      from,
+      common,
+      false
+    );
+  }
+  if (to) {
+    accumulateEnterLeaveListenersForEvent(
+      dispatchQueue,
+      enterEvent,
+      to,
+      common,
+      true
+    );
+  }
+}
+
+/**
+ * 容器上的原生事件监听器：以事件对应的优先级、在批量更新中分发事件，
+ * 事件处理函数中的多次 setState 只会触发一次渲染。
+ * @param {string} domEventName - 原生事件名。
+ * @param {boolean} isCapturePhase - 是否是捕获阶段的监听器。
+ * @param {HTMLElement} targetContainer - 添加监听器的容器。
+ * @param {Event} event - 原生 DOM 事件对象。
+ */
+function dispatchEventWithPriority(
+  domEventName,
+  isCapturePhase,
+  targetContainer,
+  event
+) {
+  const previousPriority = getCurrentUpdatePriority();
+  const prevTransition = ReactCurrentBatchConfig.transition;
+  // 事件处理函数中的更新不属于外层的过渡
+  ReactCurrentBatchConfig.transition = null;
+  try {
+    setCurrentUpdatePriority(getEventPriority(domEventName));
+    batchedEventUpdates(() => {
+      dispatchEvent(domEventName, event, isCapturePhase, targetContainer);
+      // 原生不冒泡的事件只在捕获阶段监听，捕获阶段结束后接着分发冒泡阶段
+      if (
+        isCapturePhase &&
+        nonDelegatedEvents.has(domEventName) &&
+        !event.cancelBubble
+      ) {
+        dispatchEvent(domEventName, event, false, targetContainer);
       }
     });
+  } finally {
+    setCurrentUpdatePriority(previousPriority);
+    ReactCurrentBatchConfig.transition = prevTransition;
+  }
+}
+
+/**
+ * 在批量更新中执行事件分发。最外层的事件分发结束后，先同步渲染事件处理函数中产生的更新，
+ * 再把受控组件 DOM 的值恢复为最新 props 中的值：处理函数没有更新状态时，输入框会回到原来的值。
+ * @param {Function} fn - 分发事件的函数。
+ */
+function batchedEventUpdates(fn) {
+  if (isInsideEventHandler) {
+    return fn();
+  }
+  isInsideEventHandler = true;
+  try {
+    return batchedUpdates(fn);
+  } finally {
+    isInsideEventHandler = false;
+    if (needsStateRestore()) {
+      flushSync();
+      restoreStateIfNeeded();
+    }
+  }
+}
+
+/**
+ * 获取触发事件的 DOM 元素。事件目标是文本节点时（例如旧版 Safari），使用它的父元素。
+ * @param {Event} nativeEvent - 原生 DOM 事件对象。
+ * @returns {EventTarget} - 触发事件的 DOM 元素。
+ */
+function getEventTarget(nativeEvent) {
+  const target = nativeEvent.target || nativeEvent.srcElement || window;
+  return target.nodeType === 3 ? target.parentNode : target;
+}
+
+/**
+ * 由各个事件插件从原生事件中提取出 React 事件，以及需要执行的监听器。
+ * onMouseEnter、onChange 等由多个原生事件模拟出来的事件只在冒泡阶段提取。
+ */
+function extractEvents(
+  dispatchQueue,
+  domEventName,
+  targetInst,
+  nativeEvent,
+  nativeEventTarget,
+  isCapturePhase
+) {
+  SimpleEventPlugin.extractEvents(
+    dispatchQueue,
+    domEventName,
+    targetInst,
+    nativeEvent,
+    nativeEventTarget,
+    isCapturePhase
+  );
+  if (!isCapturePhase) {
+    EnterLeaveEventPlugin.extractEvents(
+      dispatchQueue,
+      domEventName,
+      targetInst,
+      nativeEvent,
+      nativeEventTarget
+    );
+    ChangeEventPlugin.extractEvents(
+      dispatchQueue,
+      domEventName,
+      targetInst,
+      nativeEvent,
+      nativeEventTarget
+    );
+  }
+}
+
+/**
+ * 依次执行分发队列中每个合成事件的监听器。
+ * 单个阶段收集到的监听器是从内到外排列的，捕获阶段倒序执行。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {boolean} inCapturePhase - 是否处于捕获阶段。
+ */
+function processDispatchQueue(dispatchQueue, inCapturePhase) {
+  for (const { event, listeners } of dispatchQueue) {
+    const orderedListeners = inCapturePhase
+      ? listeners.slice().reverse()
+      : listeners;
+    for (const { listener, currentTarget } of orderedListeners) {
+      // 前面的监听器调用了 e.stopPropagation()，后面的监听器不再执行。
+      // 原生事件的传播也被阻止了，在捕获阶段阻止时，容器上冒泡阶段的监听器不会再触发
+      if (event.isPropagationStopped()) {
+        break;
+      }
+      event.currentTarget = currentTarget;
+      listener(event);
+    }
+    // 分发结束后 currentTarget 不再有意义
+    event.currentTarget = null;
   }
 }
 
 /**
  * 分发 DOM 事件，模拟 React 事件系统的事件分发机制。
  * 该函数会将原生 DOM 事件转换为 React 事件，收集相关事件处理函数（监听器）并依次执行。
+ * 捕获阶段执行 on<Event>Capture，从根节点到目标元素；冒泡阶段执行 on<Event>，从目标元素到根节点。
+ * 监听器沿着 Fiber 树收集，Portal 中触发的事件也会冒泡到 Portal 在 React 树中的父组件。
+ * @param {string} domEventName - 原生事件名。
  * @param {Event} event - 原生 DOM 事件对象。
+ * @param {boolean} isCapturePhase - 是否处于捕获阶段。
+ * @param {HTMLElement} targetContainer - 添加监听器的容器。
  */
-function dispatchEvent(event) {
-  // 从原生 DOM 事件对象中解构出触发事件的目标元素和事件类型
-  const { target, type } = event;
-  // 将原生事件类型转换为 React 事件名格式，例如 'click' 转换为 'onClick'
-  const reactEventName = `on` + type[0].toUpperCase() + type.slice(1);
-  // 收集函数：调用 accumulateListeners 函数，从触发事件的目标元素对应的 Fiber 节点开始向上遍历
-  // 收集所有绑定了该 React 事件的监听器函数
-  const listeners = accumulateListeners(reactEventName, target.internalFiber);
-  // 合成事件：创建 SyntheticEvent 类的实例，将原生 DOM 事件对象封装为合成事件对象
-  const syntheticEvent = new SyntheticEvent(event);
-  // 执行：遍历收集到的事件监听器函数数组，依次调用每个监听器函数，并传入合成事件对象
-  for (const listener of listeners) {
-    listener(syntheticEvent);
+function dispatchEvent(domEventName, event, isCapturePhase, targetContainer) {
+  // 触发事件的目标元素
+  const target = getEventTarget(event);
+  // 目标元素对应的 Fiber 节点，不是 React 渲染的元素时为 null
+  const targetInst = getClosestInstanceFromNode(target);
+  // 根容器和 Portal 容器在 DOM 中可能互相包含（例如 Portal 渲染到 body），
+  // 同一个原生事件会经过多个容器，只由目标元素所属的容器分发，避免重复执行监听器
+  if (
+    targetInst !== null &&
+    getContainerOfInstance(targetInst) !== targetContainer
+  ) {
+    return;
   }
+  const dispatchQueue = [];
+  extractEvents(
+    dispatchQueue,
+    domEventName,
+    targetInst,
+    event,
+    target,
+    isCapturePhase
+  );
+  processDispatchQueue(dispatchQueue, isCapturePhase);
 }
 
 /**
- * 为指定的 DOM 容器添加多个事件监听器，模拟 React 的事件委托机制。
- * 该函数会监听一系列预定义的原生 DOM 事件，并将事件处理委托给 dispatchEvent 函数。
+ * 在容器上为一个原生事件添加监听器。
+ * @param {string} domEventName - 原生事件名。
+ * @param {boolean} isCapturePhase - 是否在捕获阶段监听。
+ * @param {HTMLElement} container - 根容器。
+ */
+function listenToNativeEvent(domEventName, isCapturePhase, container) {
+  const listener = dispatchEventWithPriority.bind(
+    null,
+    domEventName,
+    isCapturePhase,
+    container
+  );
+  if (passiveEvents.has(domEventName)) {
+    container.addEventListener(domEventName, listener, {
+      capture: isCapturePhase,
+      passive: true,
+    });
+  } else {
+    container.addEventListener(domEventName, listener, isCapturePhase);
+  }
+}
+
+/**
+ * 为指定的 DOM 容器添加事件监听器，模拟 React 的事件委托机制。
+ * 该函数会在捕获和冒泡两个阶段监听各个事件插件登记的原生 DOM 事件，并将事件处理委托给 dispatchEvent 函数；
+ * 原生不冒泡的事件（例如 scroll）只能在捕获阶段监听。
+ * 每个容器只会添加一次监听器。
  * @param {HTMLElement} container - 用于添加事件监听器的 DOM 容器元素。
  */
 export function listenToAllEvents(container) {
-  // 遍历 allEvents 数组中的每个原生 DOM 事件名
-  for (const eventName of allEvents) {
-    // 为容器元素添加事件监听器
-    // eventName: 当前要监听的原生 DOM 事件名，如 'click'
-    // dispatchEvent: 事件处理函数，当 container 或其内部元素触发对应事件时，会调用 dispatchEvent 函数来处理事件。
-    // false: 表示在事件冒泡阶段处理事件
-    container.addEventListener(eventName, dispatchEvent, false);
+  // 同一个容器上多次创建根节点时，不重复添加监听器
+  if (container[listeningMarker]) {
+    return;
+  }
+  container[listeningMarker] = true;
+  for (const domEventName of allNativeEvents) {
+    if (!nonDelegatedEvents.has(domEventName)) {
+      listenToNativeEvent(domEventName, false, container);
+    }
+    listenToNativeEvent(domEventName, true, container);
   }
 }
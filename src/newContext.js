@@ -0,0 +1,194 @@
+import {
+  ClassComponent,
+  ContextProvider,
+  getHighestPriorityLane,
+  isSubsetOfLanes,
+  mergeLane,
+  NoLanes,
+} from './constants.js';
+import { createUpdate, enqueueUpdate, ForceUpdate } from './updateQueue.js';
+
+/**
+ * Context：Provider 在处理子树之前把新的值写入 context._currentValue，并把旧的值压入栈中，
+ * 子树完成（completeWork）之后再弹出恢复。渲染期间读取 context._currentValue 得到的就是最近的 Provider 提供的值。
+ * 组件读取 context 时会记录在 Fiber 的 dependencies 上，Provider 的值变化时据此找到需要重新渲染的组件。
+ */
+
+// 被 Provider 覆盖之前的 context 值
+const valueStack = [];
+
+// 当前正在渲染、读取 context 的 Fiber 节点
+let currentlyRenderingFiber = null;
+// 当前 Fiber 读取的最后一个 context，用于把读取的 context 连成链表
+let lastContextDependency = null;
+
+/**
+ * Provider 开始处理子树：记录旧值，写入新值。
+ * @param {Object} context - context 对象。
+ * @param {*} nextValue - Provider 提供的值。
+ */
+export function pushProvider(context, nextValue) {
+  valueStack.push(context._currentValue);
+  context._currentValue = nextValue;
+}
+
+/**
+ * Provider 的子树处理完成：恢复为外层的值。
+ * @param {Object} context - context 对象。
+ */
+export function popProvider(context) {
+  context._currentValue = valueStack.pop();
+}
+
+/**
+ * 组件渲染之前调用：清空上一次渲染收集的 context 依赖，准备重新收集。
+ * @param {FiberNode} workInProgress - 即将渲染的 Fiber 节点。
+ */
+export function prepareToReadContext(workInProgress) {
+  currentlyRenderingFiber = workInProgress;
+  lastContextDependency = null;
+  const dependencies = workInProgress.dependencies;
+  if (dependencies !== null) {
+    dependencies.lanes = NoLanes;
+    dependencies.firstContext = null;
+  }
+}
+
+/**
+ * 读取 context 的当前值，并记录为当前渲染的 Fiber 的依赖。
+ * useContext、static contextType 和 Context.Consumer 都通过它读取。
+ * @param {Object} context - context 对象。
+ * @returns {*} - 最近的 Provider 提供的值，没有 Provider 时为默认值。
+ */
+export function readContext(context) {
+  const value = context._currentValue;
+  if (currentlyRenderingFiber === null) {
+    throw new Error(
+      'context 只能在渲染期间读取，例如函数组件中的 useContext 或者类组件的 render 方法。'
+    );
+  }
+  const contextItem = {
+    context,
+    memoizedValue: value,
+    next: null,
+  };
+  if (lastContextDependency === null) {
+    lastContextDependency = contextItem;
+    currentlyRenderingFiber.dependencies = {
+      lanes: NoLanes,
+      firstContext: contextItem,
+    };
+  } else {
+    lastContextDependency = lastContextDependency.next = contextItem;
+  }
+  return value;
+}
+
+/**
+ * 组件渲染结束之后调用，之后不能再读取 context。
+ */
+export function resetContextDependencies() {
+  currentlyRenderingFiber = null;
+  lastContextDependency = null;
+}
+
+/**
+ * 从 parent 开始向上，直到 propagationRoot，把 renderLanes 合并到祖先节点的 childLanes 上，
+ * 这样即使中间的组件跳过了渲染，也会继续向下处理到读取了 context 的组件。
+ * @param {FiberNode|null} parent - 读取了 context 的节点的父节点。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ * @param {FiberNode} propagationRoot - 值发生变化的 Provider。
+ */
+function scheduleContextWorkOnParentPath(parent, renderLanes, propagationRoot) {
+  let node = parent;
+  while (node !== null) {
+    const alternate = node.alternate;
+    if (!isSubsetOfLanes(node.childLanes, renderLanes)) {
+      node.childLanes = mergeLane(node.childLanes, renderLanes);
+      if (alternate !== null) {
+        alternate.childLanes = mergeLane(alternate.childLanes, renderLanes);
+      }
+    } else if (
+      alternate !== null &&
+      !isSubsetOfLanes(alternate.childLanes, renderLanes)
+    ) {
+      alternate.childLanes = mergeLane(alternate.childLanes, renderLanes);
+    }
+    if (node === propagationRoot) {
+      break;
+    }
+    node = node.return;
+  }
+}
+
+/**
+ * Provider 的值发生变化：在它的子树中查找读取了该 context 的组件，给它们标记本次渲染的优先级，
+ * 类组件还会加入一个强制更新，保证它们在本次渲染中重新渲染。
+ * 嵌套的同一个 context 的 Provider 下面的组件读取的是内层的值，不受影响。
+ * @param {FiberNode} workInProgress - 值发生变化的 Provider 对应的 Fiber 节点。
+ * @param {Object} context - context 对象。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ */
+export function propagateContextChange(workInProgress, context, renderLanes) {
+  let fiber = workInProgress.child;
+  if (fiber !== null) {
+    fiber.return = workInProgress;
+  }
+  while (fiber !== null) {
+    let nextFiber;
+    const dependencies = fiber.dependencies;
+    if (dependencies !== null) {
+      nextFiber = fiber.child;
+      let dependency = dependencies.firstContext;
+      while (dependency !== null) {
+        if (dependency.context === context) {
+          if (fiber.tag === ClassComponent) {
+            // 类组件没有读取 context 的 hook，通过强制更新让它跳过 shouldComponentUpdate
+            const update = createUpdate(getHighestPriorityLane(renderLanes));
+            update.tag = ForceUpdate;
+            enqueueUpdate(fiber, update);
+          }
+          fiber.lanes = mergeLane(fiber.lanes, renderLanes);
+          const alternate = fiber.alternate;
+          if (alternate !== null) {
+            alternate.lanes = mergeLane(alternate.lanes, renderLanes);
+          }
+          scheduleContextWorkOnParentPath(
+            fiber.return,
+            renderLanes,
+            workInProgress
+          );
+          dependencies.lanes = mergeLane(dependencies.lanes, renderLanes);
+          break;
+        }
+        dependency = dependency.next;
+      }
+    } else if (fiber.tag === ContextProvider) {
+      // 同一个 context 的内层 Provider 会覆盖外层的值，不再向下查找
+      nextFiber = fiber.type._context === context ? null : fiber.child;
+    } else {
+      nextFiber = fiber.child;
+    }
+
+    if (nextFiber !== null) {
+      nextFiber.return = fiber;
+    } else {
+      // 没有子节点，查找兄弟节点，没有兄弟节点时向上回溯
+      nextFiber = fiber;
+      while (nextFiber !== null) {
+        if (nextFiber === workInProgress) {
+          nextFiber = null;
+          break;
+        }
+        const sibling = nextFiber.sibling;
+        if (sibling !== null) {
+          sibling.return = nextFiber.return;
+          nextFiber = sibling;
+          break;
+        }
+        nextFiber = nextFiber.return;
+      }
+    }
+    fiber = nextFiber;
+  }
+}
@@ -1,4 +1,11 @@
-import { REACT_ELEMENT } from './constants.js';
+import {
+  REACT_CONTEXT,
+  REACT_ELEMENT,
+  REACT_FORWARD_REF,
+  REACT_FRAGMENT,
+  REACT_MEMO,
+  REACT_PROVIDER,
+} from './constants.js';
 
 /**
  * 创建一个 React 元素对象。
@@ -19,7 +26,7 @@ function createElement(type, config, ...children) {
   // 处理 props
   if (config) {
     // 从 config 中提取 key，如果不存在则默认为 null
-    key = config.key || null;
+    key = config.key !== undefined ? `${config.key}` : null;
     // 从 config 中提取 ref，如果不存在则默认为 null
     ref = config.ref || null;
     // 从 config 对象中删除 key 属性，避免将其作为普通属性传递
@@ -58,16 +65,260 @@ function createElement(type, config, ...children) {
   };
 }
 
+// 组件尚未挂载时使用的 updater，此时调用 setState 不会产生任何效果
+const noopUpdater = {
+  enqueueSetState() {
+    console.error('不能在尚未挂载的组件上调用 setState。');
+  },
+  enqueueForceUpdate() {
+    console.error('不能在尚未挂载的组件上调用 forceUpdate。');
+  },
+};
+
 class Component {
-  constructor(props) {
+  constructor(props, context) {
     this.props = props;
+    this.context = context;
+    // 挂载时由协调器注入真正的 updater
+    this.updater = noopUpdater;
   }
 
   static isReactComponent = true;
 
-  setState(partialState) {
-    classComponentUpdate(this, partialState);
+  /**
+   * 更新组件状态，触发重新渲染。
+   * @param {Object|Function} partialState - 部分状态，或 (prevState, props) => partialState 函数。
+   * @param {Function} [callback] - 更新提交到 DOM 之后执行的回调。
+   */
+  setState(partialState, callback) {
+    this.updater.enqueueSetState(this, partialState, callback);
+  }
+
+  /**
+   * 强制重新渲染组件。
+   * @param {Function} [callback] - 更新提交到 DOM 之后执行的回调。
+   */
+  forceUpdate(callback) {
+    this.updater.enqueueForceUpdate(this, callback);
+  }
+}
+
+/**
+ * 与 Component 相同，但默认只有 props 或 state 浅比较发生变化时才会重新渲染。
+ */
+class PureComponent extends Component {
+  static isPureReactComponent = true;
+}
+
+/**
+ * 当前的 hooks 调度器。
+ * 函数组件渲染期间由协调器设置为首次渲染或更新时对应的 hooks 实现，渲染结束后重置为 null。
+ */
+export const ReactCurrentDispatcher = {
+  current: null,
+};
+
+/**
+ * 当前的批量更新配置。
+ * startTransition 执行期间 transition 不为 null，期间产生的更新会使用过渡优先级。
+ */
+export const ReactCurrentBatchConfig = {
+  transition: null,
+};
+
+function resolveDispatcher() {
+  const dispatcher = ReactCurrentDispatcher.current;
+  if (dispatcher === null) {
+    throw new Error('Hook 只能在函数组件内部调用。');
+  }
+  return dispatcher;
+}
+
+/**
+ * 为函数组件添加状态。
+ * @param {*} initialState - 初始状态，为函数时使用它的返回值（惰性初始化）。
+ * @returns {Array} - [state, setState]，setState 接收新状态或 prevState => newState 函数。
+ */
+export function useState(initialState) {
+  return resolveDispatcher().useState(initialState);
+}
+
+/**
+ * 使用 reducer 管理函数组件的状态。
+ * @param {Function} reducer - (state, action) => newState。
+ * @param {*} initialArg - 初始状态；传入 init 时作为 init 的参数。
+ * @param {Function} [init] - 计算初始状态的函数。
+ * @returns {Array} - [state, dispatch]。
+ */
+export function useReducer(reducer, initialArg, init) {
+  return resolveDispatcher().useReducer(reducer, initialArg, init);
+}
+
+/**
+ * 在 DOM 更新并绘制之后异步执行副作用，适合订阅、请求数据等不阻塞页面绘制的操作。
+ * @param {Function} create - 副作用回调，可以返回一个销毁函数，在下一次执行回调之前或组件卸载时调用。
+ * @param {Array} [deps] - 依赖项，省略时每次渲染后都执行，为 [] 时只在挂载后执行一次。
+ */
+export function useEffect(create, deps) {
+  return resolveDispatcher().useEffect(create, deps);
+}
+
+/**
+ * 在 DOM 更新之后、浏览器绘制之前同步执行副作用，适合读取布局并同步修改 DOM。
+ * @param {Function} create - 副作用回调，可以返回一个销毁函数。
+ * @param {Array} [deps] - 依赖项。
+ */
+export function useLayoutEffect(create, deps) {
+  return resolveDispatcher().useLayoutEffect(create, deps);
+}
+
+/**
+ * 在 DOM 变更之前同步执行副作用，供 CSS-in-JS 库插入样式使用。
+ * @param {Function} create - 副作用回调，可以返回一个销毁函数。
+ * @param {Array} [deps] - 依赖项。
+ */
+export function useInsertionEffect(create, deps) {
+  return resolveDispatcher().useInsertionEffect(create, deps);
+}
+
+/**
+ * 将 scope 中产生的状态更新标记为过渡（transition）：以较低的优先级渲染，可以被更紧急的更新（例如输入）打断。
+ * @param {Function} scope - 同步执行的函数，其中调用 setState 产生的更新会使用过渡优先级。
+ */
+export function startTransition(scope) {
+  const prevTransition = ReactCurrentBatchConfig.transition;
+  ReactCurrentBatchConfig.transition = {};
+  try {
+    scope();
+  } finally {
+    ReactCurrentBatchConfig.transition = prevTransition;
   }
 }
 
-export default { createElement, Component };
+/**
+ * 与 startTransition 相同，但额外返回过渡是否还在进行中。
+ * @returns {Array} - [isPending, startTransition]。
+ */
+export function useTransition() {
+  return resolveDispatcher().useTransition();
+}
+
+/**
+ * 返回 value 的延迟版本：紧急渲染中继续返回旧值，随后以过渡优先级重新渲染并返回新值。
+ * @param {*} value - 需要延迟的值。
+ * @returns {*}
+ */
+export function useDeferredValue(value) {
+  return resolveDispatcher().useDeferredValue(value);
+}
+
+/**
+ * 返回一个在组件整个生命周期内保持不变的 ref 对象，修改 ref.current 不会触发重新渲染。
+ * @param {*} initialValue - ref.current 的初始值。
+ * @returns {{current: *}}
+ */
+export function useRef(initialValue) {
+  return resolveDispatcher().useRef(initialValue);
+}
+
+/**
+ * 读取 context 的值，组件会在最近的 Provider 的 value 变化时重新渲染。
+ * @param {Object} context - createContext 创建的 context 对象。
+ * @returns {*} - 最近的 Provider 提供的值，没有 Provider 时为默认值。
+ */
+export function useContext(context) {
+  return resolveDispatcher().useContext(context);
+}
+
+/**
+ * 创建 context，用于跨越多层组件传递数据。
+ * 使用 <Context.Provider value={...}> 提供值，子树中的组件通过 useContext、static contextType
+ * 或 <Context.Consumer>{value => ...}</Context.Consumer> 读取最近的 Provider 提供的值。
+ * @param {*} defaultValue - 组件上方没有 Provider 时读取到的值。
+ * @returns {Object} - context 对象。
+ */
+function createContext(defaultValue) {
+  const context = {
+    $$typeof: REACT_CONTEXT,
+    // 渲染期间的当前值，由 Provider 在处理子树时写入和恢复
+    _currentValue: defaultValue,
+    Provider: null,
+    Consumer: null,
+  };
+  context.Provider = {
+    $$typeof: REACT_PROVIDER,
+    _context: context,
+  };
+  // Consumer 就是 context 本身
+  context.Consumer = context;
+  return context;
+}
+
+/**
+ * 创建一个 ref 对象，传给元素的 ref 属性后，提交阶段会把 DOM 元素或类组件实例赋值给它的 current。
+ * @returns {{current: null}}
+ */
+function createRef() {
+  return { current: null };
+}
+
+/**
+ * 让函数组件可以接收 ref，并把它转发给内部的元素或组件。
+ * @param {Function} render - 渲染函数 (props, ref) => ReactElement。
+ * @returns {Object} - 可以作为元素类型使用的对象。
+ */
+function forwardRef(render) {
+  return {
+    $$typeof: REACT_FORWARD_REF,
+    render,
+  };
+}
+
+/**
+ * 包装组件，props 没有变化时跳过它的重新渲染。
+ * @param {Function|Object} type - 被包装的组件。
+ * @param {Function} [compare] - (prevProps, nextProps) => boolean，返回 true 表示 props 相等，默认浅比较。
+ * @returns {Object} - 可以作为元素类型使用的对象。
+ */
+function memo(type, compare) {
+  return {
+    $$typeof: REACT_MEMO,
+    type,
+    compare: compare === undefined ? null : compare,
+  };
+}
+
+// 将多个子节点组合在一起，不会额外创建 DOM 节点
+const Fragment = REACT_FRAGMENT;
+
+export {
+  createElement,
+  createContext,
+  createRef,
+  forwardRef,
+  memo,
+  Component,
+  PureComponent,
+  Fragment,
+};
+
+export default {
+  createElement,
+  createContext,
+  createRef,
+  forwardRef,
+  memo,
+  Component,
+  PureComponent,
+  Fragment,
+  useState,
+  useReducer,
+  useEffect,
+  useLayoutEffect,
+  useInsertionEffect,
+  startTransition,
+  useTransition,
+  useDeferredValue,
+  useRef,
+  useContext,
+};
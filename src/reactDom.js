@@ -0,0 +1,119 @@
+import { REACT_PORTAL } from './constants.js';
+import * as DOMHostConfig from './domHostConfig.js';
+import { createFiberRoot } from './fiber.js';
+import { listenToAllEvents } from './listenToAllEvents.js';
+import { flushSync, updateContainer } from './workLoop.js';
+
+// 标记容器对应的根对象，用于检查同一个容器是否被重复创建根节点
+const containerMarker = '_reactContainer' + Math.random().toString(36).slice(2);
+
+/**
+ * createRoot 返回的根节点，对应 ReactDOM 的 Root。
+ * 通过 render 渲染或更新内容，通过 unmount 卸载整个应用。
+ */
+class ReactDOMRoot {
+  constructor(internalRoot) {
+    // 内部的根对象（FiberRoot）
+    this._internalRoot = internalRoot;
+  }
+
+  /**
+   * 将 element 渲染到容器中；再次调用时会与上一次渲染的内容进行协调更新。
+   * @param {*} element - 要渲染的 React 元素。
+   */
+  render(element) {
+    const root = this._internalRoot;
+    if (root === null) {
+      throw new Error('无法更新已经卸载的根节点。');
+    }
+    updateContainer(element, root);
+  }
+
+  /**
+   * 卸载根节点中渲染的所有内容，执行组件的清理逻辑。卸载后不能再调用 render。
+   */
+  unmount() {
+    const root = this._internalRoot;
+    if (root === null) {
+      return;
+    }
+    this._internalRoot = null;
+    // 同步卸载，返回时 DOM 已经清空
+    flushSync(() => {
+      updateContainer(null, root);
+    });
+    root.container[containerMarker] = null;
+  }
+}
+
+/**
+ * 为 DOM 容器创建一个根节点，模拟 ReactDOM.createRoot(container)。
+ * 同一个页面中可以创建多个相互独立的根节点。
+ * @param {HTMLElement} container - DOM 容器。
+ * @returns {ReactDOMRoot} - 根节点。
+ */
+export function createRoot(container) {
+  if (!container || container.nodeType !== 1) {
+    throw new Error('createRoot(...): 目标容器不是一个 DOM 元素。');
+  }
+  if (container[containerMarker]) {
+    console.error(
+      '这个容器已经通过 createRoot() 创建过根节点了，请调用已有根节点的 root.render() 更新内容。'
+    );
+  }
+  const root = createFiberRoot(container, DOMHostConfig);
+  container[containerMarker] = root;
+  // NOTE: 在容器上监听所有事件（事件委托），每个容器只监听一次
+  listenToAllEvents(container);
+  return new ReactDOMRoot(root);
+}
+
+/**
+ * 在已经包含服务端渲染内容（renderToString 的输出）的容器上创建根节点，模拟 ReactDOM.hydrateRoot(container, element)。
+ * 首次渲染复用容器中已有的 DOM，只绑定事件处理函数；与服务端渲染的结果不一致的地方会打印错误，并改为客户端渲染。
+ * @param {HTMLElement} container - 包含服务端渲染内容的 DOM 容器。
+ * @param {*} initialChildren - 与服务端渲染时相同的 React 元素。
+ * @returns {ReactDOMRoot} - 根节点。
+ */
+export function hydrateRoot(container, initialChildren) {
+  if (!container || container.nodeType !== 1) {
+    throw new Error('hydrateRoot(...): 目标容器不是一个 DOM 元素。');
+  }
+  if (container[containerMarker]) {
+    console.error(
+      '这个容器已经创建过根节点了，请调用已有根节点的 root.render() 更新内容。'
+    );
+  }
+  const root = createFiberRoot(container, DOMHostConfig);
+  // 首次提交之前，容器中是等待注水的服务端渲染的内容
+  root.isDehydrated = true;
+  container[containerMarker] = root;
+  listenToAllEvents(container);
+  updateContainer(initialChildren, root);
+  return new ReactDOMRoot(root);
+}
+
+/**
+ * 把 children 渲染到另一个 DOM 容器中，模拟 ReactDOM.createPortal(children, container)。
+ * Portal 中的节点在 React 树中仍然是它的父组件的子节点：可以读取父组件提供的 context，
+ * 触发的事件也会沿着 React 树冒泡到父组件，而不是沿着 DOM 树。
+ * @param {*} children - 要渲染的子节点。
+ * @param {HTMLElement} container - 目标 DOM 容器。
+ * @param {string|null} [key] - Portal 的 key。
+ * @returns {Object} - Portal 对象，可以作为子节点渲染。
+ */
+export function createPortal(children, container, key = null) {
+  if (!container || container.nodeType !== 1) {
+    throw new Error('createPortal(...): 目标容器不是一个 DOM 元素。');
+  }
+  return {
+    $$typeof: REACT_PORTAL,
+    key: key === null ? null : `${key}`,
+    children,
+    containerInfo: container,
+  };
+}
+
+export { flushSync };
+
+export default { createRoot, hydrateRoot, createPortal, flushSync };
@@ -0,0 +1,306 @@
+/**
+ * 调度器：按优先级管理任务，在浏览器空闲时执行，每执行一段时间（一帧约 5ms）就让出主线程，
+ * 让浏览器有机会响应用户输入和绘制页面。
+ * 任务保存在以过期时间排序的最小堆中，优先级越高，过期时间越早，越先执行；
+ * 过期的任务不再让出主线程，直到执行完毕。
+ */
+
+// 调度优先级，数值越小优先级越高
+export const ImmediatePriority = 1;
+export const UserBlockingPriority = 2;
+export const NormalPriority = 3;
+export const LowPriority = 4;
+export const IdlePriority = 5;
+
+// 不同优先级的任务经过多长时间（ms）后过期
+const maxSigned31BitInt = 1073741823;
+// 立即过期
+const IMMEDIATE_PRIORITY_TIMEOUT = -1;
+const USER_BLOCKING_PRIORITY_TIMEOUT = 250;
+const NORMAL_PRIORITY_TIMEOUT = 5000;
+const LOW_PRIORITY_TIMEOUT = 10000;
+// 永不过期
+const IDLE_PRIORITY_TIMEOUT = maxSigned31BitInt;
+
+// 每次执行任务的时间片长度（ms），超过后让出主线程
+const frameInterval = 5;
+
+const getCurrentTime =
+  typeof performance === 'object' && typeof performance.now === 'function'
+    ? () => performance.now()
+    : () => Date.now();
+
+// 任务队列（最小堆）
+const taskQueue = [];
+// 自增的任务 id，过期时间相同时先加入的任务先执行
+let taskIdCounter = 1;
+// 当前正在执行的任务
+let currentTask = null;
+// 当前正在执行的任务的优先级
+let currentPriorityLevel = NormalPriority;
+// 是否正在执行任务
+let isPerformingWork = false;
+// 是否已经请求宿主环境执行任务
+let isHostCallbackScheduled = false;
+// 宿主环境的消息循环是否在运行
+let isMessageLoopRunning = false;
+// 本次时间片开始的时间
+let startTime = -1;
+
+/**
+ * 向最小堆中插入一个节点。
+ */
+function push(heap, node) {
+  const index = heap.length;
+  heap.push(node);
+  siftUp(heap, node, index);
+}
+
+/**
+ * 返回堆顶（最小）的节点，堆为空时返回 null。
+ */
+function peek(heap) {
+  return heap.length === 0 ? null : heap[0];
+}
+
+/**
+ * 移除并返回堆顶的节点。
+ */
+function pop(heap) {
+  if (heap.length === 0) {
+    return null;
+  }
+  const first = heap[0];
+  const last = heap.pop();
+  if (last !== first) {
+    heap[0] = last;
+    siftDown(heap, last, 0);
+  }
+  return first;
+}
+
+function siftUp(heap, node, i) {
+  let index = i;
+  while (index > 0) {
+    const parentIndex = (index - 1) >>> 1;
+    const parent = heap[parentIndex];
+    if (compare(parent, node) > 0) {
+      // 父节点更大，交换位置
+      heap[parentIndex] = node;
+      heap[index] = parent;
+      index = parentIndex;
+    } else {
+      return;
+    }
+  }
+}
+
+function siftDown(heap, node, i) {
+  let index = i;
+  const length = heap.length;
+  const halfLength = length >>> 1;
+  while (index < halfLength) {
+    const leftIndex = (index + 1) * 2 - 1;
+    const left = heap[leftIndex];
+    const rightIndex = leftIndex + 1;
+    const right = heap[rightIndex];
+    // 与左右子节点中较小的一个交换位置
+    if (compare(left, node) < 0) {
+      if (rightIndex < length && compare(right, left) < 0) {
+        heap[index] = right;
+        heap[rightIndex] = node;
+        index = rightIndex;
+      } else {
+        heap[index] = left;
+        heap[leftIndex] = node;
+        index = leftIndex;
+      }
+    } else if (rightIndex < length && compare(right, node) < 0) {
+      heap[index] = right;
+      heap[rightIndex] = node;
+      index = rightIndex;
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * 先比较 sortIndex（过期时间），相同时比较任务 id。
+ */
+function compare(a, b) {
+  const diff = a.sortIndex - b.sortIndex;
+  return diff !== 0 ? diff : a.id - b.id;
+}
+
+/**
+ * 按优先级调度一个任务。
+ * 任务回调会收到 didTimeout 参数，表示任务是否已经过期；
+ * 回调返回一个函数时，表示任务还没有完成，返回的函数会作为同一个任务的后续回调继续执行。
+ * @param {number} priorityLevel - 调度优先级。
+ * @param {Function} callback - 任务回调。
+ * @returns {Object} - 任务对象，可以传给 cancelCallback 取消。
+ */
+export function scheduleCallback(priorityLevel, callback) {
+  const currentTime = getCurrentTime();
+  let timeout;
+  switch (priorityLevel) {
+    case ImmediatePriority:
+      timeout = IMMEDIATE_PRIORITY_TIMEOUT;
+      break;
+    case UserBlockingPriority:
+      timeout = USER_BLOCKING_PRIORITY_TIMEOUT;
+      break;
+    case IdlePriority:
+      timeout = IDLE_PRIORITY_TIMEOUT;
+      break;
+    case LowPriority:
+      timeout = LOW_PRIORITY_TIMEOUT;
+      break;
+    case NormalPriority:
+    default:
+      timeout = NORMAL_PRIORITY_TIMEOUT;
+      break;
+  }
+  const expirationTime = currentTime + timeout;
+  const newTask = {
+    id: taskIdCounter++,
+    callback,
+    priorityLevel,
+    startTime: currentTime,
+    expirationTime,
+    sortIndex: expirationTime,
+  };
+  push(taskQueue, newTask);
+  if (!isHostCallbackScheduled && !isPerformingWork) {
+    isHostCallbackScheduled = true;
+    requestHostCallback();
+  }
+  return newTask;
+}
+
+/**
+ * 取消任务。任务仍留在堆中，轮到它时因为没有回调而被直接移除。
+ * @param {Object} task - scheduleCallback 返回的任务对象。
+ */
+export function cancelCallback(task) {
+  task.callback = null;
+}
+
+/**
+ * 获取当前正在执行的任务的优先级。
+ * @returns {number}
+ */
+export function getCurrentPriorityLevel() {
+  return currentPriorityLevel;
+}
+
+/**
+ * 当前时间片是否已经用完，用完时应该让出主线程。
+ * @returns {boolean}
+ */
+export function shouldYield() {
+  return getCurrentTime() - startTime >= frameInterval;
+}
+
+export { getCurrentTime as now };
+
+/**
+ * 依次执行任务队列中的任务，直到队列为空或者时间片用完。
+ * @param {number} initialTime - 时间片开始的时间。
+ * @returns {boolean} - 是否还有剩余的任务。
+ */
+function workLoop(initialTime) {
+  let currentTime = initialTime;
+  currentTask = peek(taskQueue);
+  while (currentTask !== null) {
+    // 任务还没有过期，但时间片已经用完，让出主线程
+    if (currentTask.expirationTime > currentTime && shouldYield()) {
+      break;
+    }
+    const callback = currentTask.callback;
+    if (typeof callback === 'function') {
+      currentTask.callback = null;
+      currentPriorityLevel = currentTask.priorityLevel;
+      const didUserCallbackTimeout = currentTask.expirationTime <= currentTime;
+      const continuationCallback = callback(didUserCallbackTimeout);
+      currentTime = getCurrentTime();
+      if (typeof continuationCallback === 'function') {
+        // 任务还没有完成，保留在队列中，下一个时间片继续执行
+        currentTask.callback = continuationCallback;
+        return true;
+      }
+      if (currentTask === peek(taskQueue)) {
+        pop(taskQueue);
+      }
+    } else {
+      // 任务已经被取消
+      pop(taskQueue);
+    }
+    currentTask = peek(taskQueue);
+  }
+  return currentTask !== null;
+}
+
+function flushWork(initialTime) {
+  isHostCallbackScheduled = false;
+  isPerformingWork = true;
+  const previousPriorityLevel = currentPriorityLevel;
+  try {
+    return workLoop(initialTime);
+  } finally {
+    currentTask = null;
+    currentPriorityLevel = previousPriorityLevel;
+    isPerformingWork = false;
+  }
+}
+
+/**
+ * 执行一个时间片：记录开始时间，执行任务，还有剩余任务时在下一个宏任务中继续。
+ */
+function performWorkUntilDeadline() {
+  if (!isMessageLoopRunning) {
+    return;
+  }
+  startTime = getCurrentTime();
+  let hasMoreWork = true;
+  try {
+    hasMoreWork = flushWork(startTime);
+  } finally {
+    if (hasMoreWork) {
+      schedulePerformWorkUntilDeadline();
+    } else {
+      isMessageLoopRunning = false;
+    }
+  }
+}
+
+/**
+ * 在下一个宏任务中执行 performWorkUntilDeadline，让浏览器有机会在两个时间片之间处理输入和绘制。
+ * 优先使用 setImmediate（Node.js 环境，不会阻止进程退出），其次使用 MessageChannel（没有 setTimeout 的 4ms 最小延迟），
+ * 都不支持时降级为 setTimeout。
+ */
+let schedulePerformWorkUntilDeadline;
+if (typeof setImmediate === 'function') {
+  schedulePerformWorkUntilDeadline = () => {
+    setImmediate(performWorkUntilDeadline);
+  };
+} else if (typeof MessageChannel !== 'undefined') {
+  const channel = new MessageChannel();
+  const port = channel.port2;
+  channel.port1.onmessage = performWorkUntilDeadline;
+  schedulePerformWorkUntilDeadline = () => {
+    port.postMessage(null);
+  };
+} else {
+  schedulePerformWorkUntilDeadline = () => {
+    setTimeout(performWorkUntilDeadline, 0);
+  };
+}
+
+function requestHostCallback() {
+  if (!isMessageLoopRunning) {
+    isMessageLoopRunning = true;
+    schedulePerformWorkUntilDeadline();
+  }
+}
@@ -0,0 +1,392 @@
+import {
+  REACT_CONTEXT,
+  REACT_ELEMENT,
+  REACT_FORWARD_REF,
+  REACT_FRAGMENT,
+  REACT_MEMO,
+  REACT_PORTAL,
+  REACT_PROVIDER,
+} from './constants.js';
+import { createStyleValue, isCustomProperty } from './cssProperty.js';
+import { ReactCurrentDispatcher } from './react.js';
+
+// 服务端渲染：不创建 Fiber，也不访问 document，直接遍历 React 元素树拼接出 HTML 字符串，可以在 Node 中运行
+
+// 没有闭合标签的空元素
+const voidElements = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+
+// 属性名与 HTML 特性名不一致的属性
+const attributeNames = {
+  className: 'class',
+  htmlFor: 'for',
+  defaultValue: 'value',
+  defaultChecked: 'checked',
+};
+
+// 布尔特性（按小写的 HTML 特性名）：true 时只输出特性名，false 时不输出
+const booleanAttributes = new Set([
+  'allowfullscreen',
+  'async',
+  'autofocus',
+  'autoplay',
+  'capture',
+  'checked',
+  'controls',
+  'default',
+  'defer',
+  'disabled',
+  'disablepictureinpicture',
+  'disableremoteplayback',
+  'download',
+  'formnovalidate',
+  'hidden',
+  'itemscope',
+  'loop',
+  'multiple',
+  'muted',
+  'nomodule',
+  'novalidate',
+  'open',
+  'playsinline',
+  'readonly',
+  'required',
+  'reversed',
+  'scoped',
+  'seamless',
+  'selected',
+]);
+
+// 合法的特性名，不合法的特性名（例如包含空格、引号、尖括号）会破坏生成的 HTML，直接跳过
+const attributeNamePattern =
+  /^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/;
+
+const escapeMap = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+};
+
+/**
+ * 转义文本和属性值中的 HTML 特殊字符。
+ * @param {*} value - 文本或属性值。
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return `${value}`.replace(/[&<>"']/g, (char) => escapeMap[char]);
+}
+
+/**
+ * 把 style 对象序列化成 CSS 文本，例如 { fontSize: 12 } => "font-size:12px"。
+ * @param {Object} style - style 对象。
+ * @returns {string}
+ */
+function createStyleText(style) {
+  const declarations = [];
+  for (const [name, value] of Object.entries(style)) {
+    // 与客户端使用相同的规则转换样式值，空值表示没有这个样式
+    const cssValue = createStyleValue(name, value);
+    if (cssValue === '') {
+      continue;
+    }
+    // CSS 变量原样输出，其余驼峰命名转为连字符命名
+    const cssName = isCustomProperty(name)
+      ? name
+      : name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+    declarations.push(`${cssName}:${cssValue}`);
+  }
+  return declarations.join(';');
+}
+
+/**
+ * 把宿主组件的属性序列化成 HTML 特性字符串，跳过 children、事件处理函数和值为空的属性。
+ * @param {string} type - 标签名。
+ * @param {Object} props - 元素的属性。
+ * @returns {string} - 形如 ' class="a" id="b"' 的字符串。
+ */
+function createAttributes(type, props) {
+  let attributes = '';
+  for (const [k, v] of Object.entries(props)) {
+    if (k === 'children' || v === null || v === undefined) {
+      continue;
+    }
+    // 事件处理函数只在客户端绑定
+    if (typeof v === 'function' || typeof v === 'symbol') {
+      continue;
+    }
+    // textarea 的值作为它的文本内容输出
+    if (type === 'textarea' && (k === 'value' || k === 'defaultValue')) {
+      continue;
+    }
+    if (k === 'style') {
+      const styleText = createStyleText(v);
+      if (styleText !== '') {
+        attributes += ` style="${escapeHtml(styleText)}"`;
+      }
+      continue;
+    }
+    const name = attributeNames[k] || k;
+    if (!attributeNamePattern.test(name)) {
+      continue;
+    }
+    if (typeof v === 'boolean' && booleanAttributes.has(name.toLowerCase())) {
+      if (v) {
+        attributes += ` ${name}=""`;
+      }
+      continue;
+    }
+    // 其余特性的布尔值按字符串输出，例如 aria-hidden="false"、data-x="true"
+    attributes += ` ${name}="${escapeHtml(v)}"`;
+  }
+  return attributes;
+}
+
+/**
+ * 服务端渲染时使用的 hooks：只返回初始值，副作用不会执行，更新也不会生效。
+ */
+const ServerDispatcher = {
+  useState(initialState) {
+    const state =
+      typeof initialState === 'function' ? initialState() : initialState;
+    return [state, noop];
+  },
+  useReducer(reducer, initialArg, init) {
+    const state = init !== undefined ? init(initialArg) : initialArg;
+    return [state, noop];
+  },
+  useEffect: noop,
+  useLayoutEffect: noop,
+  useInsertionEffect: noop,
+  useTransition() {
+    return [false, (callback) => callback()];
+  },
+  useDeferredValue(value) {
+    return value;
+  },
+  useRef(initialValue) {
+    return { current: initialValue };
+  },
+  useContext(context) {
+    return context._currentValue;
+  },
+};
+
+function noop() {}
+
+/**
+ * 执行函数组件（包括 forwardRef 的渲染函数），期间 hooks 使用服务端的实现。
+ * @param {Function} Component - 函数组件。
+ * @param {Object} props - 组件的属性。
+ * @param {*} secondArg - forwardRef 渲染函数的第二个参数 ref。
+ * @returns {*} - 组件返回的子节点。
+ */
+function renderWithServerHooks(Component, props, secondArg) {
+  const prevDispatcher = ReactCurrentDispatcher.current;
+  ReactCurrentDispatcher.current = ServerDispatcher;
+  try {
+    return Component(props, secondArg);
+  } finally {
+    ReactCurrentDispatcher.current = prevDispatcher;
+  }
+}
+
+/**
+ * 创建类组件实例并调用 render：state 是构造函数中初始化的值，再合并 getDerivedStateFromProps 的结果。
+ * @param {Function} ctor - 类组件的构造函数。
+ * @param {Object} props - 组件的属性。
+ * @returns {*} - render 返回的子节点。
+ */
+function renderClassComponent(ctor, props) {
+  const contextType = ctor.contextType;
+  const context =
+    typeof contextType === 'object' && contextType !== null
+      ? contextType._currentValue
+      : {};
+  const instance = new ctor(props, context);
+  let state = instance.state !== undefined ? instance.state : null;
+  if (typeof ctor.getDerivedStateFromProps === 'function') {
+    const partialState = ctor.getDerivedStateFromProps(props, state);
+    if (partialState !== null && partialState !== undefined) {
+      state = { ...state, ...partialState };
+    }
+  }
+  instance.props = props;
+  instance.state = state;
+  instance.context = context;
+  return instance.render();
+}
+
+/**
+ * 渲染宿主组件：输出开始标签、子节点和结束标签，空元素只输出开始标签。
+ * @param {Object} request - 本次渲染的状态。
+ * @param {string} type - 标签名。
+ * @param {Object} props - 元素的属性。
+ */
+function renderHostElement(request, type, props) {
+  request.html += `<${type}${createAttributes(type, props)}>`;
+  request.lastWasText = false;
+  if (voidElements.has(type)) {
+    return;
+  }
+  const children = props.children;
+  if (type === 'textarea') {
+    const value = props.value !== undefined ? props.value : props.defaultValue;
+    if (value !== undefined && value !== null) {
+      request.html += escapeHtml(value);
+    }
+  } else if (typeof children === 'string' || typeof children === 'number') {
+    // 与客户端一致：字符串或数字子节点直接作为元素的文本内容
+    request.html += escapeHtml(children);
+  } else {
+    renderNode(request, children);
+  }
+  request.html += `</${type}>`;
+  request.lastWasText = false;
+}
+
+/**
+ * 渲染 Provider：子树渲染期间 context 的当前值为 Provider 的 value，渲染完成后恢复。
+ */
+function renderProvider(request, context, props) {
+  const prevValue = context._currentValue;
+  context._currentValue = props.value;
+  try {
+    renderNode(request, props.children);
+  } finally {
+    context._currentValue = prevValue;
+  }
+}
+
+/**
+ * 根据元素的类型渲染 React 元素。
+ * @param {Object} request - 本次渲染的状态。
+ * @param {Object} element - React 元素。
+ */
+function renderElement(request, element) {
+  const { type, props } = element;
+  if (typeof type === 'string') {
+    renderHostElement(request, type, props);
+  } else if (typeof type === 'function') {
+    const children = type.isReactComponent
+      ? renderClassComponent(type, props)
+      : renderWithServerHooks(type, props, undefined);
+    renderNode(request, children);
+  } else if (type === REACT_FRAGMENT) {
+    renderNode(request, props.children);
+  } else if (typeof type === 'object' && type !== null) {
+    switch (type.$$typeof) {
+      case REACT_PROVIDER:
+        renderProvider(request, type._context, props);
+        break;
+      case REACT_CONTEXT:
+        // Consumer 的子节点是一个函数，参数为 context 的当前值
+        renderNode(request, props.children(type._currentValue));
+        break;
+      case REACT_FORWARD_REF:
+        renderNode(
+          request,
+          renderWithServerHooks(type.render, props, element.ref)
+        );
+        break;
+      case REACT_MEMO:
+        // 服务端只渲染一次，memo 没有意义，直接渲染被包装的组件
+        renderElement(request, { ...element, type: type.type });
+        break;
+      default:
+        throw new Error('服务端渲染遇到了无法识别的元素类型。');
+    }
+  } else {
+    throw new Error('服务端渲染遇到了无法识别的元素类型。');
+  }
+}
+
+/**
+ * 渲染任意子节点：React 元素、字符串、数字或（嵌套）数组，null、undefined、布尔值不输出内容。
+ * @param {Object} request - 本次渲染的状态。
+ * @param {*} node - 子节点。
+ */
+function renderNode(request, node) {
+  if (typeof node === 'string' || typeof node === 'number') {
+    const text = `${node}`;
+    if (text === '') {
+      return;
+    }
+    // 客户端会为相邻的文本创建不同的文本节点，renderToString 在它们之间插入注释，
+    // 避免浏览器解析时合并成一个文本节点，注水时才能一一对应
+    if (request.lastWasText && !request.isStaticMarkup) {
+      request.html += '<!-- -->';
+    }
+    request.html += escapeHtml(text);
+    request.lastWasText = true;
+    return;
+  }
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      renderNode(request, child);
+    }
+    return;
+  }
+  if (typeof node === 'object' && node !== null) {
+    if (node.$$typeof === REACT_ELEMENT) {
+      renderElement(request, node);
+      return;
+    }
+    if (node.$$typeof === REACT_PORTAL) {
+      throw new Error('服务端渲染不支持 Portal。');
+    }
+  }
+}
+
+/**
+ * 把 React 元素渲染成 HTML 字符串。
+ * @param {*} element - 要渲染的 React 元素。
+ * @param {boolean} isStaticMarkup - 是否只输出静态 HTML（不需要在客户端注水）。
+ * @returns {string}
+ */
+function render(element, isStaticMarkup) {
+  const request = {
+    // 已经生成的 HTML
+    html: '',
+    // 上一个输出的是否是文本，用于在相邻文本之间插入分隔注释
+    lastWasText: false,
+    isStaticMarkup,
+  };
+  renderNode(request, element);
+  return request.html;
+}
+
+/**
+ * 在服务端把 React 元素渲染成 HTML 字符串，输出的 HTML 可以在客户端通过 hydrateRoot 注水。
+ * @param {*} element - 要渲染的 React 元素。
+ * @returns {string}
+ */
+export function renderToString(element) {
+  return render(element, false);
+}
+
+/**
+ * 与 renderToString 相同，但不输出注水需要的额外标记，适用于生成静态页面。
+ * @param {*} element - 要渲染的 React 元素。
+ * @returns {string}
+ */
+export function renderToStaticMarkup(element) {
+  return render(element, true);
+}
+
+export default { renderToString, renderToStaticMarkup };
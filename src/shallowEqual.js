@@ -0,0 +1,34 @@
+/**
+ * 浅比较两个对象：只比较第一层属性，属性值使用 Object.is 比较。
+ * PureComponent 用它比较 props 和 state，决定是否需要重新渲染。
+ * @param {*} objA
+ * @param {*} objB
+ * @returns {boolean} - 两个对象是否浅相等。
+ */
+export function shallowEqual(objA, objB) {
+  if (Object.is(objA, objB)) {
+    return true;
+  }
+  if (
+    typeof objA !== 'object' ||
+    objA === null ||
+    typeof objB !== 'object' ||
+    objB === null
+  ) {
+    return false;
+  }
+  const keysA = Object.keys(objA);
+  const keysB = Object.keys(objB);
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  for (const key of keysA) {
+    if (
+      !Object.prototype.hasOwnProperty.call(objB, key) ||
+      !Object.is(objA[key], objB[key])
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,206 @@
+import { nonDelegatedEvents, registerTwoPhaseEvent } from './eventRegistry.js';
+import { accumulateSinglePhaseListeners } from './listenToAllEvents.js';
+import {
+  getEventCharCode,
+  SyntheticClipboardEvent,
+  SyntheticDragEvent,
+  SyntheticEvent,
+  SyntheticFocusEvent,
+  SyntheticKeyboardEvent,
+  SyntheticMouseEvent,
+  SyntheticPointerEvent,
+  SyntheticTouchEvent,
+  SyntheticUIEvent,
+  SyntheticWheelEvent,
+} from './syntheticEvent.js';
+
+/**
+ * 简单事件插件：一个原生事件直接对应一个 React 事件，例如 click 对应 onClick。
+ */
+
+// 原生事件名与 React 事件名只有大小写不同的事件，例如 'keyDown' 对应 keydown 和 onKeyDown
+const simpleEventPluginEvents = [
+  'auxClick',
+  'cancel',
+  'click',
+  'close',
+  'contextMenu',
+  'copy',
+  'cut',
+  'drag',
+  'dragEnd',
+  'dragEnter',
+  'dragExit',
+  'dragLeave',
+  'dragOver',
+  'dragStart',
+  'drop',
+  'gotPointerCapture',
+  'input',
+  'invalid',
+  'keyDown',
+  'keyPress',
+  'keyUp',
+  'lostPointerCapture',
+  'mouseDown',
+  'mouseMove',
+  'mouseOut',
+  'mouseOver',
+  'mouseUp',
+  'paste',
+  'pointerCancel',
+  'pointerDown',
+  'pointerMove',
+  'pointerOut',
+  'pointerOver',
+  'pointerUp',
+  'reset',
+  'scroll',
+  'submit',
+  'toggle',
+  'touchCancel',
+  'touchEnd',
+  'touchMove',
+  'touchStart',
+  'wheel',
+];
+
+// 原生事件名 => React 事件名
+const topLevelEventsToReactNames = new Map();
+
+function registerSimpleEvent(domEventName, reactName) {
+  topLevelEventsToReactNames.set(domEventName, reactName);
+  registerTwoPhaseEvent(reactName, [domEventName]);
+}
+
+export function registerEvents() {
+  for (const eventName of simpleEventPluginEvents) {
+    const domEventName = eventName.toLowerCase();
+    const capitalizedEvent = eventName[0].toUpperCase() + eventName.slice(1);
+    registerSimpleEvent(domEventName, 'on' + capitalizedEvent);
+  }
+  registerSimpleEvent('dblclick', 'onDoubleClick');
+  // focus、blur 不冒泡，使用会冒泡的 focusin、focusout 代替
+  registerSimpleEvent('focusin', 'onFocus');
+  registerSimpleEvent('focusout', 'onBlur');
+}
+
+/**
+ * 从原生事件中提取出 React 事件，加入分发队列。
+ * @param {Array} dispatchQueue - 分发队列。
+ * @param {string} domEventName - 原生事件名。
+ * @param {Fiber|null} targetInst - 触发事件的 DOM 元素对应的 Fiber 节点。
+ * @param {Event} nativeEvent - 原生 DOM 事件对象。
+ * @param {EventTarget} nativeEventTarget - 触发事件的 DOM 元素。
+ * @param {boolean} isCapturePhase - 是否处于捕获阶段。
+ */
+export function extractEvents(
+  dispatchQueue,
+  domEventName,
+  targetInst,
+  nativeEvent,
+  nativeEventTarget,
+  isCapturePhase
+) {
+  const reactName = topLevelEventsToReactNames.get(domEventName);
+  if (reactName === undefined) {
+    return;
+  }
+  let SyntheticEventCtor = SyntheticEvent;
+  let reactEventType = domEventName;
+  switch (domEventName) {
+    case 'keypress':
+      // 不产生字符的按键（例如方向键）不触发 onKeyPress
+      if (getEventCharCode(nativeEvent) === 0) {
+        return;
+      }
+    /* falls through */
+    case 'keydown':
+    case 'keyup':
+      SyntheticEventCtor = SyntheticKeyboardEvent;
+      break;
+    case 'focusin':
+      reactEventType = 'focus';
+      SyntheticEventCtor = SyntheticFocusEvent;
+      break;
+    case 'focusout':
+      reactEventType = 'blur';
+      SyntheticEventCtor = SyntheticFocusEvent;
+      break;
+    case 'click':
+      // Firefox 中右键点击也会触发 click 事件
+      if (nativeEvent.button === 2) {
+        return;
+      }
+    /* falls through */
+    case 'auxclick':
+    case 'dblclick':
+    case 'mousedown':
+    case 'mousemove':
+    case 'mouseup':
+    case 'mouseout':
+    case 'mouseover':
+    case 'contextmenu':
+      SyntheticEventCtor = SyntheticMouseEvent;
+      break;
+    case 'drag':
+    case 'dragend':
+    case 'dragenter':
+    case 'dragexit':
+    case 'dragleave':
+    case 'dragover':
+    case 'dragstart':
+    case 'drop':
+      SyntheticEventCtor = SyntheticDragEvent;
+      break;
+    case 'touchcancel':
+    case 'touchend':
+    case 'touchmove':
+    case 'touchstart':
+      SyntheticEventCtor = SyntheticTouchEvent;
+      break;
+    case 'scroll':
+      SyntheticEventCtor = SyntheticUIEvent;
+      break;
+    case 'wheel':
+      SyntheticEventCtor = SyntheticWheelEvent;
+      break;
+    case 'copy':
+    case 'cut':
+    case 'paste':
+      SyntheticEventCtor = SyntheticClipboardEvent;
+      break;
+    case 'gotpointercapture':
+    case 'lostpointercapture':
+    case 'pointercancel':
+    case 'pointerdown':
+    case 'pointermove':
+    case 'pointerout':
+    case 'pointerover':
+    case 'pointerup':
+      SyntheticEventCtor = SyntheticPointerEvent;
+      break;
+    default:
+      break;
+  }
+
+  // 原生不冒泡的事件，冒泡阶段只执行目标元素自己的监听器
+  const accumulateTargetOnly =
+    !isCapturePhase && nonDelegatedEvents.has(domEventName);
+  const listeners = accumulateSinglePhaseListeners(
+    targetInst,
+    reactName,
+    isCapturePhase,
+    accumulateTargetOnly
+  );
+  if (listeners.length > 0) {
+    const event = new SyntheticEventCtor(
+      reactName,
+      reactEventType,
+      targetInst,
+      nativeEvent,
+      nativeEventTarget
+    );
+    dispatchQueue.push({ event, listeners });
+  }
+}
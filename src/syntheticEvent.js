@@ -0,0 +1,396 @@
+/**
+ * 合成事件：按照标准事件接口（Event、UIEvent、MouseEvent 等）从原生事件上读取属性，
+ * 抹平不同浏览器之间的差异，并自己记录是否阻止了冒泡和默认行为。
+ */
+
+function functionThatReturnsTrue() {
+  return true;
+}
+
+function functionThatReturnsFalse() {
+  return false;
+}
+
+/**
+ * 根据事件接口创建合成事件的构造函数。
+ * 接口中的每个属性值为 0 时直接读取原生事件上的同名属性，为函数时使用函数从原生事件上计算属性值。
+ * @param {Object} Interface - 事件接口。
+ * @returns {Function} - 合成事件的构造函数。
+ */
+function createSyntheticEvent(Interface) {
+  class SyntheticBaseEvent {
+    /**
+     * @param {string} reactName - React 事件名，例如 'onClick'。
+     * @param {string} reactEventType - 事件类型，例如 'click'。
+     * @param {Fiber|null} targetInst - 触发事件的 DOM 元素对应的 Fiber 节点。
+     * @param {Event} nativeEvent - 原生 DOM 事件对象。
+     * @param {EventTarget} nativeEventTarget - 触发事件的 DOM 元素。
+     */
+    constructor(
+      reactName,
+      reactEventType,
+      targetInst,
+      nativeEvent,
+      nativeEventTarget
+    ) {
+      this._reactName = reactName;
+      this._targetInst = targetInst;
+      this.type = reactEventType;
+      this.nativeEvent = nativeEvent;
+      this.target = nativeEventTarget;
+      // 分发过程中指向当前执行的监听器所在的 DOM 元素
+      this.currentTarget = null;
+
+      for (const propName in Interface) {
+        const normalize = Interface[propName];
+        if (normalize) {
+          this[propName] = normalize(nativeEvent);
+        } else {
+          this[propName] = nativeEvent[propName];
+        }
+      }
+
+      const defaultPrevented =
+        nativeEvent.defaultPrevented != null
+          ? nativeEvent.defaultPrevented
+          : nativeEvent.returnValue === false;
+      this.isDefaultPrevented = defaultPrevented
+        ? functionThatReturnsTrue
+        : functionThatReturnsFalse;
+      this.isPropagationStopped = functionThatReturnsFalse;
+    }
+
+    preventDefault() {
+      this.defaultPrevented = true;
+      const event = this.nativeEvent;
+      if (!event) {
+        return;
+      }
+      if (event.preventDefault) {
+        event.preventDefault();
+      } else {
+        // 旧版 IE
+        event.returnValue = false;
+      }
+      this.isDefaultPrevented = functionThatReturnsTrue;
+    }
+
+    stopPropagation() {
+      const event = this.nativeEvent;
+      if (!event) {
+        return;
+      }
+      if (event.stopPropagation) {
+        event.stopPropagation();
+      } else {
+        // 旧版 IE
+        event.cancelBubble = true;
+      }
+      this.isPropagationStopped = functionThatReturnsTrue;
+    }
+
+    // 合成事件不再复用，persist 只为兼容旧代码而保留
+    persist() {}
+
+    isPersistent() {
+      return true;
+    }
+  }
+  return SyntheticBaseEvent;
+}
+
+// https://dom.spec.whatwg.org/#interface-event
+const EventInterface = {
+  eventPhase: 0,
+  bubbles: 0,
+  cancelable: 0,
+  timeStamp(event) {
+    return event.timeStamp || Date.now();
+  },
+  defaultPrevented: 0,
+  isTrusted: 0,
+};
+export const SyntheticEvent = createSyntheticEvent(EventInterface);
+
+// https://w3c.github.io/uievents/#interface-uievent
+const UIEventInterface = {
+  ...EventInterface,
+  view: 0,
+  detail: 0,
+};
+export const SyntheticUIEvent = createSyntheticEvent(UIEventInterface);
+
+/**
+ * 获取修饰键的状态。
+ */
+function getEventModifierState(nativeEvent) {
+  return function modifierStateGetter(keyArg) {
+    if (nativeEvent.getModifierState) {
+      return nativeEvent.getModifierState(keyArg);
+    }
+    const keyProp = modifierKeyToProp[keyArg];
+    return keyProp ? !!nativeEvent[keyProp] : false;
+  };
+}
+
+const modifierKeyToProp = {
+  Alt: 'altKey',
+  Control: 'ctrlKey',
+  Meta: 'metaKey',
+  Shift: 'shiftKey',
+};
+
+// https://w3c.github.io/uievents/#interface-mouseevent
+const MouseEventInterface = {
+  ...UIEventInterface,
+  screenX: 0,
+  screenY: 0,
+  clientX: 0,
+  clientY: 0,
+  pageX: 0,
+  pageY: 0,
+  ctrlKey: 0,
+  shiftKey: 0,
+  altKey: 0,
+  metaKey: 0,
+  getModifierState: getEventModifierState,
+  button: 0,
+  buttons: 0,
+  relatedTarget(event) {
+    if (event.relatedTarget === undefined) {
+      return event.fromElement === event.srcElement
+        ? event.toElement
+        : event.fromElement;
+    }
+    return event.relatedTarget;
+  },
+  movementX: 0,
+  movementY: 0,
+};
+export const SyntheticMouseEvent = createSyntheticEvent(MouseEventInterface);
+
+// https://w3c.github.io/uievents/#interface-focusevent
+const FocusEventInterface = {
+  ...UIEventInterface,
+  relatedTarget: 0,
+};
+export const SyntheticFocusEvent = createSyntheticEvent(FocusEventInterface);
+
+/**
+ * 获取 keypress 事件的字符编码，不能产生字符的按键返回 0。
+ */
+export function getEventCharCode(nativeEvent) {
+  let charCode;
+  const keyCode = nativeEvent.keyCode;
+  if ('charCode' in nativeEvent) {
+    charCode = nativeEvent.charCode;
+    // Firefox 中回车键的 charCode 为 0
+    if (charCode === 0 && keyCode === 13) {
+      charCode = 13;
+    }
+  } else {
+    // 旧版 IE 只有 keyCode
+    charCode = keyCode;
+  }
+  // 部分浏览器中回车键的 charCode 为 10
+  if (charCode === 10) {
+    charCode = 13;
+  }
+  // 只保留可打印字符和回车键
+  if (charCode >= 32 || charCode === 13) {
+    return charCode;
+  }
+  return 0;
+}
+
+// 旧浏览器中不规范的 key 值
+const normalizeKey = {
+  Esc: 'Escape',
+  Spacebar: ' ',
+  Left: 'ArrowLeft',
+  Up: 'ArrowUp',
+  Right: 'ArrowRight',
+  Down: 'ArrowDown',
+  Del: 'Delete',
+  Win: 'OS',
+  Menu: 'ContextMenu',
+  Apps: 'ContextMenu',
+  Scroll: 'ScrollLock',
+  MozPrintableKey: 'Unidentified',
+};
+
+// 不支持 key 属性的浏览器，根据 keyCode 推断 key
+const translateToKey = {
+  8: 'Backspace',
+  9: 'Tab',
+  12: 'Clear',
+  13: 'Enter',
+  16: 'Shift',
+  17: 'Control',
+  18: 'Alt',
+  19: 'Pause',
+  20: 'CapsLock',
+  27: 'Escape',
+  32: ' ',
+  33: 'PageUp',
+  34: 'PageDown',
+  35: 'End',
+  36: 'Home',
+  37: 'ArrowLeft',
+  38: 'ArrowUp',
+  39: 'ArrowRight',
+  40: 'ArrowDown',
+  45: 'Insert',
+  46: 'Delete',
+  112: 'F1',
+  113: 'F2',
+  114: 'F3',
+  115: 'F4',
+  116: 'F5',
+  117: 'F6',
+  118: 'F7',
+  119: 'F8',
+  120: 'F9',
+  121: 'F10',
+  122: 'F11',
+  123: 'F12',
+  144: 'NumLock',
+  145: 'ScrollLock',
+  224: 'Meta',
+};
+
+/**
+ * 获取规范化的 key 值。
+ */
+function getEventKey(nativeEvent) {
+  if (nativeEvent.key) {
+    const key = normalizeKey[nativeEvent.key] || nativeEvent.key;
+    if (key !== 'Unidentified') {
+      return key;
+    }
+  }
+  if (nativeEvent.type === 'keypress') {
+    const charCode = getEventCharCode(nativeEvent);
+    // 回车键的字符是 '\r'，统一为 'Enter'
+    return charCode === 13 ? 'Enter' : String.fromCharCode(charCode);
+  }
+  if (nativeEvent.type === 'keydown' || nativeEvent.type === 'keyup') {
+    return translateToKey[nativeEvent.keyCode] || 'Unidentified';
+  }
+  return '';
+}
+
+// https://w3c.github.io/uievents/#interface-keyboardevent
+const KeyboardEventInterface = {
+  ...UIEventInterface,
+  key: getEventKey,
+  code: 0,
+  location: 0,
+  ctrlKey: 0,
+  shiftKey: 0,
+  altKey: 0,
+  metaKey: 0,
+  repeat: 0,
+  locale: 0,
+  getModifierState: getEventModifierState,
+  // charCode 只在 keypress 事件中有意义
+  charCode(event) {
+    return event.type === 'keypress' ? getEventCharCode(event) : 0;
+  },
+  // keyCode 只在 keydown、keyup 事件中有意义；which 在 keydown、keyup 事件中是按键编码，在 keypress 事件中是字符编码
+  keyCode(event) {
+    if (event.type === 'keydown' || event.type === 'keyup') {
+      return event.keyCode;
+    }
+    return 0;
+  },
+  which(event) {
+    if (event.type === 'keypress') {
+      return getEventCharCode(event);
+    }
+    if (event.type === 'keydown' || event.type === 'keyup') {
+      return event.keyCode;
+    }
+    return 0;
+  },
+};
+export const SyntheticKeyboardEvent = createSyntheticEvent(
+  KeyboardEventInterface
+);
+
+// https://html.spec.whatwg.org/multipage/dnd.html#the-dragevent-interface
+const DragEventInterface = {
+  ...MouseEventInterface,
+  dataTransfer: 0,
+};
+export const SyntheticDragEvent = createSyntheticEvent(DragEventInterface);
+
+// https://w3c.github.io/pointerevents/#pointerevent-interface
+const PointerEventInterface = {
+  ...MouseEventInterface,
+  pointerId: 0,
+  width: 0,
+  height: 0,
+  pressure: 0,
+  tangentialPressure: 0,
+  tiltX: 0,
+  tiltY: 0,
+  twist: 0,
+  pointerType: 0,
+  isPrimary: 0,
+};
+export const SyntheticPointerEvent = createSyntheticEvent(
+  PointerEventInterface
+);
+
+// https://w3c.github.io/touch-events/#touchevent-interface
+const TouchEventInterface = {
+  ...UIEventInterface,
+  touches: 0,
+  targetTouches: 0,
+  changedTouches: 0,
+  altKey: 0,
+  metaKey: 0,
+  ctrlKey: 0,
+  shiftKey: 0,
+  getModifierState: getEventModifierState,
+};
+export const SyntheticTouchEvent = createSyntheticEvent(TouchEventInterface);
+
+// https://w3c.github.io/uievents/#interface-wheelevent
+const WheelEventInterface = {
+  ...MouseEventInterface,
+  deltaX(event) {
+    // 旧版 WebKit 使用 wheelDeltaX，方向与 deltaX 相反
+    return 'deltaX' in event
+      ? event.deltaX
+      : 'wheelDeltaX' in event
+        ? -event.wheelDeltaX
+        : 0;
+  },
+  deltaY(event) {
+    return 'deltaY' in event
+      ? event.deltaY
+      : 'wheelDeltaY' in event
+        ? -event.wheelDeltaY
+        : 'wheelDelta' in event
+          ? -event.wheelDelta
+          : 0;
+  },
+  deltaZ: 0,
+  deltaMode: 0,
+};
+export const SyntheticWheelEvent = createSyntheticEvent(WheelEventInterface);
+
+// https://w3c.github.io/clipboard-apis/#clipboard-event-interfaces
+const ClipboardEventInterface = {
+  ...EventInterface,
+  clipboardData(event) {
+    return 'clipboardData' in event
+      ? event.clipboardData
+      : window.clipboardData;
+  },
+};
+export const SyntheticClipboardEvent = createSyntheticEvent(
+  ClipboardEventInterface
+);
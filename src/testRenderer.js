@@ -0,0 +1,295 @@
+import {
+  ClassComponent,
+  ForwardRef,
+  FunctionComponent,
+  HostComponent,
+  HostRoot,
+  HostText,
+} from './constants.js';
+import { createFiberRoot } from './fiber.js';
+import { flushPassiveEffects, flushSync, updateContainer } from './workLoop.js';
+
+// 测试渲染器：使用同一个协调器，把组件渲染成内存中的树，不需要浏览器，可以在 Node 中运行组件测试。
+// 宿主节点是普通对象：元素为 { tag: 'INSTANCE', type, props, children }，文本为 { tag: 'TEXT', text }。
+
+/**
+ * 从父节点的 children 中移除子节点（移动节点时先移除再插入）。
+ */
+function detach(parent, child) {
+  const index = parent.children.indexOf(child);
+  if (index !== -1) {
+    parent.children.splice(index, 1);
+  }
+}
+
+/**
+ * 测试渲染器的宿主环境配置，接口说明见 hostConfig.js。
+ */
+const TestHostConfig = {
+  createInstance(type, props) {
+    return { tag: 'INSTANCE', type, props, children: [] };
+  },
+  createTextInstance(text) {
+    return { tag: 'TEXT', text };
+  },
+  appendInitialChild(parentInstance, child) {
+    parentInstance.children.push(child);
+  },
+  finalizeInitialChildren() {},
+  // 字符串子节点也创建文本节点，toJSON 的 children 中才能看到文本
+  shouldSetTextContent() {
+    return false;
+  },
+  prepareUpdate() {
+    // 只有 props 对象发生变化时才会调用，直接用新的 props 替换
+    return true;
+  },
+  commitUpdate(instance, updatePayload, newProps) {
+    instance.props = newProps;
+  },
+  commitTextUpdate(textInstance, newText) {
+    textInstance.text = newText;
+  },
+  resetTextContent() {},
+  appendChild(parent, child) {
+    detach(parent, child);
+    parent.children.push(child);
+  },
+  insertBefore(parent, child, beforeChild) {
+    detach(parent, child);
+    parent.children.splice(parent.children.indexOf(beforeChild), 0, child);
+  },
+  removeChild(parent, child) {
+    detach(parent, child);
+  },
+  getPublicInstance(instance) {
+    return instance;
+  },
+  preparePortalMount() {},
+};
+
+/**
+ * 把内存中的宿主节点转换成便于断言的 JSON：{ type, props, children }，props 中不包含 children。
+ * @param {Object} node - 宿主节点。
+ * @returns {Object|string}
+ */
+function toJSON(node) {
+  if (node.tag === 'TEXT') {
+    return node.text;
+  }
+  const props = { ...node.props };
+  delete props.children;
+  return {
+    type: node.type,
+    props,
+    children: node.children.length > 0 ? node.children.map(toJSON) : null,
+  };
+}
+
+/**
+ * 在测试实例树中出现的节点：组件和宿主元素，Fragment、Provider、memo 等节点是透明的。
+ */
+function isValidFiber(fiber) {
+  return (
+    fiber.tag === FunctionComponent ||
+    fiber.tag === ClassComponent ||
+    fiber.tag === ForwardRef ||
+    fiber.tag === HostComponent
+  );
+}
+
+/**
+ * 收集 fiber 下面最近的一层测试实例，文本节点收集为字符串。
+ */
+function getChildren(fiber) {
+  const children = [];
+  let child = fiber.child;
+  while (child !== null) {
+    if (isValidFiber(child)) {
+      children.push(new TestInstance(child));
+    } else if (child.tag === HostText) {
+      children.push(child.memoizedProps);
+    } else {
+      children.push(...getChildren(child));
+    }
+    child = child.sibling;
+  }
+  return children;
+}
+
+/**
+ * 查找满足条件的测试实例。deep 为 false 时，匹配的节点下面不再继续查找。
+ */
+function findAll(root, predicate, deep) {
+  const results = [];
+  if (predicate(root)) {
+    results.push(root);
+    if (!deep) {
+      return results;
+    }
+  }
+  for (const child of root.children) {
+    if (typeof child !== 'string') {
+      results.push(...findAll(child, predicate, deep));
+    }
+  }
+  return results;
+}
+
+/**
+ * 测试实例：包装渲染结果中的一个组件或宿主元素，用于查找节点和读取它的 props。
+ * 每次读取 renderer.root 都会基于最新的 Fiber 树创建，更新之后需要重新读取。
+ */
+class TestInstance {
+  constructor(fiber) {
+    this._fiber = fiber;
+  }
+
+  // 组件类型或宿主元素的标签名
+  get type() {
+    return this._fiber.tag === HostRoot ? null : this._fiber.type;
+  }
+
+  get props() {
+    return this._fiber.tag === HostRoot ? {} : this._fiber.memoizedProps;
+  }
+
+  // 类组件的实例，或宿主元素对应的宿主节点；函数组件为 null
+  get instance() {
+    const fiber = this._fiber;
+    if (fiber.tag === ClassComponent || fiber.tag === HostComponent) {
+      return fiber.stateNode;
+    }
+    return null;
+  }
+
+  get parent() {
+    let fiber = this._fiber.return;
+    while (fiber !== null) {
+      if (isValidFiber(fiber)) {
+        return new TestInstance(fiber);
+      }
+      fiber = fiber.return;
+    }
+    return null;
+  }
+
+  get children() {
+    return getChildren(this._fiber);
+  }
+
+  /**
+   * 查找唯一一个满足条件的测试实例，找不到或找到多个时抛出错误。
+   * @param {Function} predicate - (testInstance) => boolean。
+   * @returns {TestInstance}
+   */
+  find(predicate) {
+    const results = findAll(this, predicate, false);
+    if (results.length !== 1) {
+      throw new Error(
+        `期望找到 1 个满足条件的节点，实际找到了 ${results.length} 个。`
+      );
+    }
+    return results[0];
+  }
+
+  /**
+   * 查找所有满足条件的测试实例（包括自身）。
+   * @param {Function} predicate - (testInstance) => boolean。
+   * @param {{deep: boolean}} [options] - deep 为 false 时，匹配的节点下面不再继续查找。
+   * @returns {Array<TestInstance>}
+   */
+  findAll(predicate, options = { deep: true }) {
+    return findAll(this, predicate, options.deep);
+  }
+
+  findByType(type) {
+    return this.find((node) => node.type === type);
+  }
+
+  findAllByType(type) {
+    return this.findAll((node) => node.type === type);
+  }
+
+  findByProps(props) {
+    return this.find((node) => matchProps(node, props));
+  }
+
+  findAllByProps(props) {
+    return this.findAll((node) => matchProps(node, props));
+  }
+}
+
+function matchProps(node, props) {
+  return Object.keys(props).every((key) =>
+    Object.is(node.props[key], props[key])
+  );
+}
+
+/**
+ * 同步执行 callback，其中产生的更新会立即渲染，渲染之后执行 useEffect。
+ * 用于在测试中触发事件处理函数、调用 setState 等，之后可以直接断言渲染结果。
+ * @param {Function} callback - 触发更新的函数。
+ */
+export function act(callback) {
+  flushSync(callback);
+  flushPassiveEffects();
+}
+
+/**
+ * 把 element 渲染到内存中，返回的渲染器可以读取渲染结果、查找节点、更新和卸载。
+ * 渲染是同步的，返回时 useEffect 也已经执行。
+ * @param {*} element - 要渲染的 React 元素。
+ * @returns {Object} - 渲染器。
+ */
+export function create(element) {
+  const container = { tag: 'CONTAINER', children: [] };
+  const root = createFiberRoot(container, TestHostConfig);
+  act(() => updateContainer(element, root));
+
+  return {
+    /**
+     * 渲染结果的 JSON，没有内容时为 null，顶层有多个节点时为数组。
+     */
+    toJSON() {
+      const children = container.children.map(toJSON);
+      if (children.length === 0) {
+        return null;
+      }
+      return children.length === 1 ? children[0] : children;
+    },
+    /**
+     * 渲染新的 element，与上一次的渲染结果进行协调更新。
+     * @param {*} nextElement - 新的 React 元素。
+     */
+    update(nextElement) {
+      act(() => updateContainer(nextElement, root));
+    },
+    /**
+     * 卸载渲染的内容，执行组件的清理逻辑。
+     */
+    unmount() {
+      act(() => updateContainer(null, root));
+    },
+    /**
+     * 根节点的测试实例：渲染的是单个组件或元素时就是它，否则包装整个渲染结果。
+     * @returns {TestInstance}
+     */
+    get root() {
+      const hostRoot = root.current;
+      const children = getChildren(hostRoot);
+      if (children.length === 1 && typeof children[0] !== 'string') {
+        return children[0];
+      }
+      return new TestInstance(hostRoot);
+    },
+    /**
+     * 渲染的根组件是类组件时返回它的实例。
+     */
+    getInstance() {
+      return this.root.instance;
+    },
+  };
+}
+
+export default { create, act };
@@ -0,0 +1,174 @@
+import {
+  ClassComponent,
+  ContextConsumer,
+  ContextProvider,
+  DidCapture,
+  ForwardRef,
+  FunctionComponent,
+  getHighestPriorityLane,
+  HostComponent,
+  HostRoot,
+  Incomplete,
+  ShouldCapture,
+} from './constants.js';
+import { createUpdate, enqueueUpdate } from './updateQueue.js';
+
+/**
+ * 错误处理：渲染阶段出错时，从出错的节点向上查找最近的错误边界
+ * （定义了 static getDerivedStateFromError 或 componentDidCatch 的类组件），
+ * 给它加入一个携带错误的更新，随后回溯到这个边界重新渲染出错误状态。
+ * 没有错误边界时由根节点捕获，卸载整棵树。
+ */
+
+/**
+ * 获取 Fiber 节点对应的组件名称，用于组件栈。
+ * @param {FiberNode} fiber - Fiber 节点。
+ * @returns {string|null} - 组件名称，根节点、文本、Fragment 等节点返回 null。
+ */
+function getComponentNameFromFiber(fiber) {
+  const type = fiber.type;
+  switch (fiber.tag) {
+    case HostComponent:
+      return type;
+    case FunctionComponent:
+    case ClassComponent:
+      return type.displayName || type.name || 'Anonymous';
+    case ForwardRef:
+      return (
+        type.displayName || `ForwardRef(${type.render.name || 'Anonymous'})`
+      );
+    case ContextProvider:
+      return 'Context.Provider';
+    case ContextConsumer:
+      return 'Context.Consumer';
+    default:
+      return null;
+  }
+}
+
+/**
+ * 沿着 return 向上生成组件栈，例如 "\n    in Child\n    in div\n    in App"。
+ * @param {FiberNode} fiber - 出错的 Fiber 节点。
+ * @returns {string}
+ */
+export function getComponentStack(fiber) {
+  let stack = '';
+  let node = fiber;
+  while (node !== null) {
+    const name = getComponentNameFromFiber(node);
+    if (name !== null) {
+      stack += `\n    in ${name}`;
+    }
+    node = node.return;
+  }
+  return stack;
+}
+
+/**
+ * 判断类组件是否是错误边界。
+ * @param {FiberNode} fiber - 类组件对应的 Fiber 节点。
+ * @returns {boolean}
+ */
+export function isErrorBoundary(fiber) {
+  const ctor = fiber.type;
+  const instance = fiber.stateNode;
+  return (
+    typeof ctor.getDerivedStateFromError === 'function' ||
+    (instance !== null && typeof instance.componentDidCatch === 'function')
+  );
+}
+
+/**
+ * 创建根节点捕获错误的更新：卸载整棵树，并打印错误。
+ * @param {Object} errorInfo - 错误信息 { value, componentStack }。
+ * @param {number} lane - 更新的优先级。
+ * @returns {Object} - 更新对象。
+ */
+export function createRootErrorUpdate(errorInfo, lane) {
+  const update = createUpdate(lane);
+  update.payload = { element: null };
+  update.callback = () => {
+    console.error(
+      '组件渲染出错，并且没有被错误边界捕获，已卸载整棵组件树：',
+      errorInfo.value,
+      errorInfo.componentStack
+    );
+  };
+  return update;
+}
+
+/**
+ * 创建错误边界捕获错误的更新：
+ * 使用 getDerivedStateFromError 的返回值更新状态，提交之后调用 componentDidCatch。
+ * @param {FiberNode} fiber - 错误边界对应的 Fiber 节点。
+ * @param {Object} errorInfo - 错误信息 { value, componentStack }。
+ * @param {number} lane - 更新的优先级。
+ * @returns {Object} - 更新对象。
+ */
+export function createClassErrorUpdate(fiber, errorInfo, lane) {
+  const update = createUpdate(lane);
+  const getDerivedStateFromError = fiber.type.getDerivedStateFromError;
+  const error = errorInfo.value;
+  if (typeof getDerivedStateFromError === 'function') {
+    update.payload = () => getDerivedStateFromError(error);
+  }
+  const instance = fiber.stateNode;
+  if (instance !== null && typeof instance.componentDidCatch === 'function') {
+    // 回调执行时 this 指向组件实例
+    update.callback = function () {
+      this.componentDidCatch(error, {
+        componentStack: errorInfo.componentStack,
+      });
+    };
+  }
+  return update;
+}
+
+/**
+ * 渲染阶段出错：标记出错的节点，找到最近的错误边界，加入携带错误的更新并打上 ShouldCapture 标记。
+ * 错误边界不能捕获自身的错误，所以从父节点开始查找；已经捕获过错误（DidCapture）的边界会跳过，
+ * 避免渲染错误状态时再次出错导致死循环。
+ * @param {FiberNode} returnFiber - 出错节点的父节点。
+ * @param {FiberNode} sourceFiber - 出错的节点。
+ * @param {*} value - 抛出的错误。
+ * @param {number} rootRenderLanes - 本次渲染的优先级。
+ */
+export function throwException(
+  returnFiber,
+  sourceFiber,
+  value,
+  rootRenderLanes
+) {
+  sourceFiber.flags |= Incomplete;
+  const errorInfo = {
+    value,
+    componentStack: getComponentStack(sourceFiber),
+  };
+  // 错误更新需要在本次渲染中处理
+  const lane = getHighestPriorityLane(rootRenderLanes);
+  let workInProgress = returnFiber;
+  while (workInProgress !== null) {
+    switch (workInProgress.tag) {
+      case HostRoot:
+        workInProgress.flags |= ShouldCapture;
+        enqueueUpdate(workInProgress, createRootErrorUpdate(errorInfo, lane));
+        return;
+      case ClassComponent:
+        if (
+          (workInProgress.flags & DidCapture) === 0 &&
+          isErrorBoundary(workInProgress)
+        ) {
+          workInProgress.flags |= ShouldCapture;
+          enqueueUpdate(
+            workInProgress,
+            createClassErrorUpdate(workInProgress, errorInfo, lane)
+          );
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+    workInProgress = workInProgress.return;
+  }
+}
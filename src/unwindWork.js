@@ -0,0 +1,47 @@
+import {
+  ClassComponent,
+  ContextProvider,
+  DidCapture,
+  HostRoot,
+  ShouldCapture,
+} from './constants.js';
+import { popProvider } from './newContext.js';
+
+/**
+ * 渲染出错后向上回溯时处理单个节点：恢复 beginWork 中压入的 context。
+ * 遇到捕获了错误的错误边界（或根节点）时，把 ShouldCapture 改为 DidCapture 并返回它，从它开始重新渲染。
+ * @param {FiberNode} workInProgress - 没有完成的 Fiber 节点。
+ * @returns {FiberNode|null} - 需要重新渲染的错误边界，继续回溯时返回 null。
+ */
+export function unwindWork(workInProgress) {
+  switch (workInProgress.tag) {
+    case ClassComponent:
+    case HostRoot: {
+      const flags = workInProgress.flags;
+      if (flags & ShouldCapture) {
+        workInProgress.flags = (flags & ~ShouldCapture) | DidCapture;
+        return workInProgress;
+      }
+      return null;
+    }
+    case ContextProvider:
+      popProvider(workInProgress.type._context);
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 丢弃被打断的渲染时处理单个已经开始、还没有完成的节点：恢复 beginWork 中压入的 context。
+ * @param {FiberNode} interruptedWork - 被打断的 Fiber 节点。
+ */
+export function unwindInterruptedWork(interruptedWork) {
+  switch (interruptedWork.tag) {
+    case ContextProvider:
+      popProvider(interruptedWork.type._context);
+      break;
+    default:
+      break;
+  }
+}
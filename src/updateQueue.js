@@ -0,0 +1,282 @@
+import {
+  Callback,
+  isSubsetOfLanes,
+  mergeLane,
+  NoLane,
+  NoLanes,
+} from './constants.js';
+
+// 更新的类型
+// 含义：部分更新，将 payload 合并到原有状态中，对应 setState(partialState)
+export const UpdateState = 0;
+// 含义：替换更新，用 payload 替换原有状态
+export const ReplaceState = 1;
+// 含义：强制更新，状态不变，但组件一定会重新渲染，对应 forceUpdate()
+export const ForceUpdate = 2;
+
+// 本次处理更新队列时是否遇到了强制更新，类组件据此跳过 shouldComponentUpdate
+let hasForceUpdate = false;
+
+/**
+ * 处理更新队列之前调用，重置强制更新的标记。
+ */
+export function resetHasForceUpdateBeforeProcessing() {
+  hasForceUpdate = false;
+}
+
+/**
+ * 处理更新队列之后调用，返回处理过的更新中是否有强制更新。
+ * @returns {boolean}
+ */
+export function checkHasForceUpdateAfterProcessing() {
+  return hasForceUpdate;
+}
+
+/**
+ * 初始化 Fiber 节点的更新队列，类组件和 HostRoot 使用这种更新队列。
+ * baseState 是处理更新时的起始状态，firstBaseUpdate/lastBaseUpdate 是尚未处理完的更新链表，
+ * shared.pending 是新入队的更新组成的环形链表，current 和 workInProgress 共享同一个 shared 对象。
+ * @param {FiberNode} fiber - Fiber 节点。
+ */
+export function initializeUpdateQueue(fiber) {
+  fiber.updateQueue = {
+    baseState: fiber.memoizedState,
+    firstBaseUpdate: null,
+    lastBaseUpdate: null,
+    shared: {
+      pending: null,
+    },
+    callbacks: null,
+  };
+}
+
+/**
+ * 从 current 克隆一份更新队列给 workInProgress，避免渲染过程中修改 current 的更新队列。
+ * @param {FiberNode} current - current Fiber 节点。
+ * @param {FiberNode} workInProgress - workInProgress Fiber 节点。
+ */
+export function cloneUpdateQueue(current, workInProgress) {
+  const queue = workInProgress.updateQueue;
+  const currentQueue = current.updateQueue;
+  if (queue === currentQueue) {
+    workInProgress.updateQueue = {
+      baseState: currentQueue.baseState,
+      firstBaseUpdate: currentQueue.firstBaseUpdate,
+      lastBaseUpdate: currentQueue.lastBaseUpdate,
+      shared: currentQueue.shared,
+      callbacks: null,
+    };
+  }
+}
+
+/**
+ * 创建一个更新对象。
+ * @param {number} lane - 更新的优先级。
+ * @returns {Object} - 更新对象。
+ */
+export function createUpdate(lane) {
+  return {
+    lane,
+    tag: UpdateState,
+    // 更新的内容，可以是部分状态对象，也可以是 (prevState, props) => partialState 函数
+    payload: null,
+    // 更新提交后执行的回调，对应 setState 的第二个参数
+    callback: null,
+    next: null,
+  };
+}
+
+/**
+ * 将更新加入 Fiber 节点的更新队列，shared.pending 指向最后一个更新，最后一个更新的 next 指向第一个更新，形成环形链表。
+ * @param {FiberNode} fiber - Fiber 节点。
+ * @param {Object} update - 更新对象。
+ */
+export function enqueueUpdate(fiber, update) {
+  const updateQueue = fiber.updateQueue;
+  // 组件已经卸载
+  if (updateQueue === null) {
+    return;
+  }
+  const sharedQueue = updateQueue.shared;
+  const pending = sharedQueue.pending;
+  if (pending === null) {
+    // 第一个更新，自己指向自己
+    update.next = update;
+  } else {
+    // 插入到环形链表的末尾
+    update.next = pending.next;
+    pending.next = update;
+  }
+  sharedQueue.pending = update;
+}
+
+/**
+ * 根据更新计算新的状态。
+ * @param {Object} update - 更新对象。
+ * @param {Object} prevState - 之前的状态。
+ * @param {Object} nextProps - 最新的属性。
+ * @param {Object} instance - 类组件实例，HostRoot 为 null。
+ * @returns {Object} - 新的状态。
+ */
+function getStateFromUpdate(update, prevState, nextProps, instance) {
+  switch (update.tag) {
+    case ReplaceState: {
+      const payload = update.payload;
+      if (typeof payload === 'function') {
+        return payload.call(instance, prevState, nextProps);
+      }
+      return payload;
+    }
+    case UpdateState: {
+      const payload = update.payload;
+      // 函数式更新：setState(prevState => ...)
+      const partialState =
+        typeof payload === 'function'
+          ? payload.call(instance, prevState, nextProps)
+          : payload;
+      if (partialState === null || partialState === undefined) {
+        return prevState;
+      }
+      return { ...prevState, ...partialState };
+    }
+    case ForceUpdate:
+      hasForceUpdate = true;
+      return prevState;
+    default:
+      return prevState;
+  }
+}
+
+/**
+ * 处理更新队列，依次计算出新的状态，保存到 workInProgress.memoizedState 上。
+ * 待处理的更新会同时追加到 current 的更新链表中，这样即使本次渲染被丢弃，更新也不会丢失。
+ *
+ * 优先级不够（不包含在 renderLanes 中）的更新会被跳过，留到之后的渲染中处理。
+ * 为了保证最终状态与按顺序处理所有更新的结果一致，从第一个被跳过的更新开始，
+ * 之后的所有更新（包括已经处理过的）都会保留在 base 更新链表中，baseState 停留在第一个被跳过的更新之前的状态，
+ * 下一次渲染会在 baseState 的基础上重新处理（rebase）这些更新。
+ * @param {FiberNode} workInProgress - workInProgress Fiber 节点。
+ * @param {Object} props - 最新的属性。
+ * @param {Object} instance - 类组件实例，HostRoot 为 null。
+ * @param {number} renderLanes - 本次渲染的优先级。
+ */
+export function processUpdateQueue(
+  workInProgress,
+  props,
+  instance,
+  renderLanes
+) {
+  const queue = workInProgress.updateQueue;
+  let firstBaseUpdate = queue.firstBaseUpdate;
+  let lastBaseUpdate = queue.lastBaseUpdate;
+
+  // 将 shared.pending 环形链表剪开，接到 base 更新链表的末尾
+  const pendingQueue = queue.shared.pending;
+  if (pendingQueue !== null) {
+    queue.shared.pending = null;
+    const lastPendingUpdate = pendingQueue;
+    const firstPendingUpdate = lastPendingUpdate.next;
+    lastPendingUpdate.next = null;
+    if (lastBaseUpdate === null) {
+      firstBaseUpdate = firstPendingUpdate;
+    } else {
+      lastBaseUpdate.next = firstPendingUpdate;
+    }
+    lastBaseUpdate = lastPendingUpdate;
+
+    // 同样追加到 current 的更新链表中
+    const current = workInProgress.alternate;
+    if (current !== null) {
+      const currentQueue = current.updateQueue;
+      if (currentQueue !== queue) {
+        if (currentQueue.lastBaseUpdate === null) {
+          currentQueue.firstBaseUpdate = firstPendingUpdate;
+        } else {
+          currentQueue.lastBaseUpdate.next = firstPendingUpdate;
+        }
+        currentQueue.lastBaseUpdate = lastPendingUpdate;
+      }
+    }
+  }
+
+  if (firstBaseUpdate !== null) {
+    let newState = queue.baseState;
+    // 被跳过的更新的优先级
+    let newLanes = NoLanes;
+    // 下一次渲染使用的 baseState 和 base 更新链表
+    let newBaseState = null;
+    let newFirstBaseUpdate = null;
+    let newLastBaseUpdate = null;
+
+    let update = firstBaseUpdate;
+    while (update !== null) {
+      const updateLane = update.lane;
+      if (!isSubsetOfLanes(renderLanes, updateLane)) {
+        // 优先级不够，跳过这个更新，复制一份保留到 base 更新链表中
+        const clone = {
+          lane: updateLane,
+          tag: update.tag,
+          payload: update.payload,
+          callback: update.callback,
+          next: null,
+        };
+        if (newLastBaseUpdate === null) {
+          newFirstBaseUpdate = newLastBaseUpdate = clone;
+          newBaseState = newState;
+        } else {
+          newLastBaseUpdate = newLastBaseUpdate.next = clone;
+        }
+        newLanes = mergeLane(newLanes, updateLane);
+      } else {
+        // 前面已经有被跳过的更新，这个更新之后也需要重新处理，
+        // 优先级设为 NoLane 保证之后的任何渲染都不会跳过它，回调已经收集过，不再重复执行
+        if (newLastBaseUpdate !== null) {
+          const clone = {
+            lane: NoLane,
+            tag: update.tag,
+            payload: update.payload,
+            callback: null,
+            next: null,
+          };
+          newLastBaseUpdate = newLastBaseUpdate.next = clone;
+        }
+        newState = getStateFromUpdate(update, newState, props, instance);
+        // 收集更新的回调，在 commit 阶段执行
+        if (update.callback !== null) {
+          workInProgress.flags |= Callback;
+          if (queue.callbacks === null) {
+            queue.callbacks = [update.callback];
+          } else {
+            queue.callbacks.push(update.callback);
+          }
+        }
+      }
+      update = update.next;
+    }
+    if (newLastBaseUpdate === null) {
+      newBaseState = newState;
+    }
+    queue.baseState = newBaseState;
+    queue.firstBaseUpdate = newFirstBaseUpdate;
+    queue.lastBaseUpdate = newLastBaseUpdate;
+    // 被跳过的更新的优先级留在 Fiber 上，之后会再次渲染
+    workInProgress.lanes = newLanes;
+    workInProgress.memoizedState = newState;
+  }
+}
+
+/**
+ * commit 阶段执行更新队列中收集的回调，this 指向组件实例。
+ * @param {Object} updateQueue - 更新队列。
+ * @param {Object} context - 回调执行时的 this。
+ */
+export function commitCallbacks(updateQueue, context) {
+  const callbacks = updateQueue.callbacks;
+  if (callbacks === null) {
+    return;
+  }
+  updateQueue.callbacks = null;
+  for (const callback of callbacks) {
+    callback.call(context);
+  }
+}
@@ -0,0 +1,726 @@
+import { beginWork } from './beginWork.js';
+import {
+  commitBeforeMutationEffects,
+  commitLayoutEffects,
+  commitMutationEffects,
+  commitPassiveMountEffects,
+  commitPassiveUnmountEffects,
+} from './commitWork.js';
+import { completeWork } from './completeWork.js';
+import {
+  claimNextTransitionLane,
+  ClassComponent,
+  getHighestPriorityLane,
+  getNextLanes,
+  HostRoot,
+  Incomplete,
+  includesSomeLane,
+  mergeLane,
+  NoFlags,
+  NoLane,
+  NoLanes,
+  PassiveMask,
+  SyncLane,
+} from './constants.js';
+import {
+  ContinuousEventPriority,
+  DefaultEventPriority,
+  DiscreteEventPriority,
+  getCurrentEventPriority,
+  getCurrentUpdatePriority,
+  IdleEventPriority,
+  lanesToEventPriority,
+  setCurrentUpdatePriority,
+} from './eventPriorities.js';
+import { createWorkInProgress } from './fiber.js';
+import { setCurrentHostConfig } from './hostConfig.js';
+import { resetHooksAfterThrow } from './hooks.js';
+import { resetHydrationState } from './hydration.js';
+import { resetContextDependencies } from './newContext.js';
+import { ReactCurrentBatchConfig } from './react.js';
+import {
+  cancelCallback,
+  IdlePriority,
+  ImmediatePriority,
+  NormalPriority,
+  scheduleCallback,
+  shouldYield,
+  UserBlockingPriority,
+} from './scheduler.js';
+import {
+  createClassErrorUpdate,
+  createRootErrorUpdate,
+  getComponentStack,
+  isErrorBoundary,
+  throwException,
+} from './throwException.js';
+import { createUpdate, enqueueUpdate } from './updateQueue.js';
+import { unwindInterruptedWork, unwindWork } from './unwindWork.js';
+
+// 执行上下文：标记当前是否正在批量更新、渲染或提交
+const NoContext = /*      */ 0b000;
+const BatchedContext = /* */ 0b001;
+const RenderContext = /*  */ 0b010;
+const CommitContext = /*  */ 0b100;
+
+// 渲染阶段的退出状态：渲染还没有完成（让出了主线程），或者整棵树已经构建完成
+const RootInProgress = 0;
+const RootCompleted = 1;
+
+// 当前的执行上下文
+let executionContext = NoContext;
+// 当前正在渲染的根对象，并发渲染让出主线程后，据此判断能否继续上一次的渲染
+let workInProgressRoot = null;
+// 当前渲染处理的优先级
+let workInProgressRootRenderLanes = NoLanes;
+// 当前正在处理的 workInProgress Fiber 节点
+let workInProgress = null;
+// 有待执行的 useEffect 的根节点
+let rootWithPendingPassiveEffects = null;
+// 当前这一批过渡更新使用的优先级，同一批过渡中的更新使用同一条优先级，开始下一次渲染时重置
+let currentEventTransitionLane = NoLane;
+// 等待执行的同步渲染任务，在批量更新结束、提交结束或者微任务中统一执行
+let syncQueue = null;
+// 是否正在执行同步渲染任务
+let isFlushingSyncQueue = false;
+
+const scheduleMicrotask =
+  typeof queueMicrotask === 'function'
+    ? queueMicrotask
+    : (callback) => Promise.resolve().then(callback);
+
+/**
+ * 将 element 渲染到根节点中，root.render(element) 和 root.unmount() 都通过它发起更新。
+ * 会创建一个 payload 为 { element } 的更新，加入 HostRoot 的更新队列，然后调度渲染。
+ * @param {*} element - 要渲染的 React 元素。
+ * @param {Object} root - 根对象，包含 DOM 容器 container 和 current Fiber 树。
+ */
+export function updateContainer(element, root) {
+  const current = root.current;
+  const lane = requestUpdateLane();
+  const update = createUpdate(lane);
+  update.payload = { element };
+  enqueueUpdate(current, update);
+  scheduleUpdateOnFiber(current, lane);
+}
+
+/**
+ * 正在渲染（包括被时间片打断、还没有完成）的根节点，没有时为 null。
+ * @returns {Object|null}
+ */
+export function getWorkInProgressRoot() {
+  return workInProgressRoot;
+}
+
+/**
+ * 获取一次更新（setState、useState 的 setState、root.render 等）的优先级：
+ * 在 startTransition 中产生的更新使用过渡优先级；
+ * 事件分发、flushSync 等设置了更新优先级时使用它；否则根据当前的原生事件决定，不在事件中时使用默认优先级。
+ * @returns {number} - 更新的优先级。
+ */
+export function requestUpdateLane() {
+  if (isTransition()) {
+    return requestTransitionLane();
+  }
+  const updateLane = getCurrentUpdatePriority();
+  if (updateLane !== NoLane) {
+    return updateLane;
+  }
+  return getCurrentEventPriority();
+}
+
+function isTransition() {
+  return ReactCurrentBatchConfig.transition !== null;
+}
+
+function requestTransitionLane() {
+  if (currentEventTransitionLane === NoLane) {
+    currentEventTransitionLane = claimNextTransitionLane();
+  }
+  return currentEventTransitionLane;
+}
+
+/**
+ * 从发生更新的 Fiber 节点开始向上标记优先级：
+ * 自身（以及 alternate）的 lanes 合并上 lane，所有祖先节点的 childLanes 合并上 lane，直到 HostRoot。
+ * @param {FiberNode} sourceFiber - 发生更新的 Fiber 节点。
+ * @param {number} lane - 更新的优先级。
+ * @returns {Object|null} - 根对象；若 Fiber 已经卸载（无法到达 HostRoot）则返回 null。
+ */
+function markUpdateLaneFromFiberToRoot(sourceFiber, lane) {
+  sourceFiber.lanes = mergeLane(sourceFiber.lanes, lane);
+  if (sourceFiber.alternate !== null) {
+    sourceFiber.alternate.lanes = mergeLane(sourceFiber.alternate.lanes, lane);
+  }
+  let node = sourceFiber;
+  let parent = sourceFiber.return;
+  while (parent !== null) {
+    parent.childLanes = mergeLane(parent.childLanes, lane);
+    if (parent.alternate !== null) {
+      parent.alternate.childLanes = mergeLane(
+        parent.alternate.childLanes,
+        lane
+      );
+    }
+    node = parent;
+    parent = parent.return;
+  }
+  return node.tag === HostRoot ? node.stateNode : null;
+}
+
+/**
+ * 调度 Fiber 节点上的更新：标记优先级后，确保所在的根节点已经安排了渲染。
+ * @param {FiberNode} fiber - 发生更新的 Fiber 节点。
+ * @param {number} lane - 更新的优先级。
+ */
+export function scheduleUpdateOnFiber(fiber, lane) {
+  const root = markUpdateLaneFromFiberToRoot(fiber, lane);
+  // 组件已经卸载，忽略这次更新
+  if (root === null) {
+    return;
+  }
+  root.pendingLanes = mergeLane(root.pendingLanes, lane);
+  ensureRootIsScheduled(root);
+}
+
+/**
+ * 根据根节点上待处理的更新安排渲染：
+ * 通过 getNextLanes 选出下一次渲染的优先级，同步优先级不经过调度器，放入同步任务队列，
+ * 在批量更新结束、提交结束或者微任务中统一渲染，同一批中的多次更新只会渲染一次；
+ * 其他优先级交给调度器，在时间片中并发渲染。
+ * 同一个根节点同时只安排一个调度任务，优先级发生变化时取消原来的任务重新安排。
+ * @param {Object} root - 根对象。
+ */
+function ensureRootIsScheduled(root) {
+  const existingCallbackNode = root.callbackNode;
+  const nextLanes = getNextLanes(
+    root,
+    root === workInProgressRoot ? workInProgressRootRenderLanes : NoLanes
+  );
+  // 没有待处理的更新，取消已经安排的任务
+  if (nextLanes === NoLanes) {
+    if (existingCallbackNode !== null) {
+      cancelCallback(existingCallbackNode);
+    }
+    root.callbackNode = null;
+    root.callbackPriority = NoLane;
+    return;
+  }
+
+  const newCallbackPriority = getHighestPriorityLane(nextLanes);
+  // 已经安排了相同优先级的任务，新的更新会在这个任务中一起处理
+  if (root.callbackPriority === newCallbackPriority) {
+    return;
+  }
+  // 优先级发生了变化（通常是更高优先级的更新插队），取消原来的任务
+  if (existingCallbackNode !== null) {
+    cancelCallback(existingCallbackNode);
+  }
+
+  if (newCallbackPriority === SyncLane) {
+    scheduleSyncCallback(performSyncWorkOnRoot.bind(null, root));
+    // 不在批量更新中产生的同步更新，在当前任务结束前的微任务中渲染
+    scheduleMicrotask(() => {
+      if ((executionContext & (RenderContext | CommitContext)) === NoContext) {
+        flushSyncCallbacks();
+      }
+    });
+    root.callbackNode = null;
+    root.callbackPriority = SyncLane;
+    return;
+  }
+
+  root.callbackPriority = newCallbackPriority;
+  root.callbackNode = scheduleCallback(
+    lanesToSchedulerPriority(nextLanes),
+    performConcurrentWorkOnRoot.bind(null, root)
+  );
+}
+
+/**
+ * 将渲染优先级转换为调度器的优先级。
+ * @param {number} lanes - 渲染优先级。
+ * @returns {number} - 调度优先级。
+ */
+function lanesToSchedulerPriority(lanes) {
+  switch (lanesToEventPriority(lanes)) {
+    case DiscreteEventPriority:
+      return ImmediatePriority;
+    case ContinuousEventPriority:
+      return UserBlockingPriority;
+    case IdleEventPriority:
+      return IdlePriority;
+    case DefaultEventPriority:
+    default:
+      return NormalPriority;
+  }
+}
+
+/**
+ * 将同步渲染任务加入同步任务队列。
+ * @param {Function} callback - 同步渲染任务。
+ */
+function scheduleSyncCallback(callback) {
+  if (syncQueue === null) {
+    syncQueue = [callback];
+  } else {
+    syncQueue.push(callback);
+  }
+}
+
+/**
+ * 依次执行同步任务队列中的任务，执行过程中新加入的任务也会被执行。
+ */
+export function flushSyncCallbacks() {
+  if (isFlushingSyncQueue || syncQueue === null) {
+    return;
+  }
+  isFlushingSyncQueue = true;
+  const previousUpdatePriority = getCurrentUpdatePriority();
+  let i = 0;
+  try {
+    // 渲染过程中产生的更新也是同步的
+    setCurrentUpdatePriority(DiscreteEventPriority);
+    for (; i < syncQueue.length; i++) {
+      const callback = syncQueue[i];
+      callback();
+    }
+    syncQueue = null;
+  } catch (error) {
+    // 出错时丢弃已经执行的任务，剩下的任务稍后继续执行
+    if (syncQueue !== null) {
+      syncQueue = syncQueue.slice(i + 1);
+    }
+    scheduleCallback(ImmediatePriority, flushSyncCallbacks);
+    throw error;
+  } finally {
+    setCurrentUpdatePriority(previousUpdatePriority);
+    isFlushingSyncQueue = false;
+  }
+}
+
+/**
+ * 批量更新：fn 执行期间产生的同步更新不会立即渲染，fn 执行完之后统一渲染一次。
+ * React 事件处理函数都在批量更新中执行。
+ * @param {Function} fn - 需要执行的函数。
+ * @param {*} a - 传给 fn 的参数。
+ * @returns {*} - fn 的返回值。
+ */
+export function batchedUpdates(fn, a) {
+  const prevExecutionContext = executionContext;
+  executionContext |= BatchedContext;
+  try {
+    return fn(a);
+  } finally {
+    executionContext = prevExecutionContext;
+    if (executionContext === NoContext) {
+      flushSyncCallbacks();
+    }
+  }
+}
+
+/**
+ * 以同步优先级执行 fn 中的更新，并在返回之前完成渲染和提交，
+ * 返回之后就可以从 DOM 中读取到最新的结果。
+ * @param {Function} [fn] - 需要同步执行的更新。
+ * @returns {*} - fn 的返回值。
+ */
+export function flushSync(fn) {
+  const prevExecutionContext = executionContext;
+  executionContext |= BatchedContext;
+  const prevTransition = ReactCurrentBatchConfig.transition;
+  const previousUpdatePriority = getCurrentUpdatePriority();
+  try {
+    ReactCurrentBatchConfig.transition = null;
+    setCurrentUpdatePriority(DiscreteEventPriority);
+    if (fn) {
+      return fn();
+    }
+  } finally {
+    setCurrentUpdatePriority(previousUpdatePriority);
+    ReactCurrentBatchConfig.transition = prevTransition;
+    executionContext = prevExecutionContext;
+    // 渲染或提交过程中无法同步渲染，等本次提交结束后处理
+    if ((executionContext & (RenderContext | CommitContext)) === NoContext) {
+      flushSyncCallbacks();
+    }
+  }
+}
+
+/**
+ * 同步渲染根节点：渲染阶段构建 Fiber 树，commit 阶段更新真实 DOM。
+ * 只处理同步优先级的更新，其他优先级的更新在提交之后重新安排。
+ * @param {Object} root - 根对象。
+ */
+function performSyncWorkOnRoot(root) {
+  currentEventTransitionLane = NoLane;
+  // 开始新的渲染之前，先执行上一次提交遗留的 useEffect，其中产生的同步更新会在这里一起渲染
+  flushPassiveEffects();
+  const lanes = getNextLanes(root, NoLanes);
+  if (!includesSomeLane(lanes, SyncLane)) {
+    ensureRootIsScheduled(root);
+    return;
+  }
+  // 渲染阶段，构建 Fiber 树
+  renderRootSync(root, lanes);
+  // commit阶段，更新真实DOM
+  commitRoot(root);
+}
+
+/**
+ * 并发渲染根节点，作为调度器的任务执行。
+ * 时间片用完时让出主线程，返回自身作为后续回调，调度器会在下一个时间片中继续渲染；
+ * 任务过期（didTimeout）后不再让出，同步完成剩余的渲染。
+ * @param {Object} root - 根对象。
+ * @param {boolean} didTimeout - 任务是否已经过期。
+ * @returns {Function|null} - 渲染还没有完成时返回后续回调。
+ */
+function performConcurrentWorkOnRoot(root, didTimeout) {
+  currentEventTransitionLane = NoLane;
+  const originalCallbackNode = root.callbackNode;
+  // 先执行上一次提交遗留的 useEffect，其中产生的更新可能会取消当前任务
+  flushPassiveEffects();
+  if (root.callbackNode !== originalCallbackNode) {
+    return null;
+  }
+  const lanes = getNextLanes(
+    root,
+    root === workInProgressRoot ? workInProgressRootRenderLanes : NoLanes
+  );
+  if (lanes === NoLanes) {
+    return null;
+  }
+
+  const exitStatus = didTimeout
+    ? renderRootSync(root, lanes)
+    : renderRootConcurrent(root, lanes);
+  if (exitStatus === RootCompleted) {
+    commitRoot(root);
+  }
+
+  ensureRootIsScheduled(root);
+  // 渲染还没有完成，返回后续回调，下一个时间片继续
+  if (root.callbackNode === originalCallbackNode) {
+    return performConcurrentWorkOnRoot.bind(null, root);
+  }
+  return null;
+}
+
+/**
+ * 丢弃之前未完成的渲染，从根节点开始重新构建 workInProgress 树。
+ * @param {Object} root - 根对象。
+ * @param {number} lanes - 本次渲染处理的优先级。
+ */
+function prepareFreshStack(root, lanes) {
+  if (workInProgress !== null) {
+    // 丢弃被打断的渲染：已经开始、还没有完成的祖先节点中，Provider 写入的值需要恢复
+    let interruptedWork = workInProgress.return;
+    while (interruptedWork !== null) {
+      unwindInterruptedWork(interruptedWork);
+      interruptedWork = interruptedWork.return;
+    }
+  }
+  root.finishedWork = null;
+  resetHydrationState();
+  workInProgressRoot = root;
+  workInProgressRootRenderLanes = lanes;
+  // 创建一个根Fiber节点的副本节点 workInProgress（正在构建、正在处理、工作中的节点），用于后续的渲染工作
+  // 双缓存
+  workInProgress = createWorkInProgress(root.current, null);
+}
+
+/**
+ * 渲染阶段，构建 Fiber 树。
+ * 同步渲染根节点的函数。
+ * 该函数会遍历 fiber 树，依次执行 beginWork 和 completeWork 操作，完成整个渲染流程。
+ * 如果这个根节点有被打断的并发渲染，并且优先级相同，会在此基础上继续，否则重新开始。
+ */
+function renderRootSync(root, lanes) {
+  const prevExecutionContext = executionContext;
+  executionContext |= RenderContext;
+  // 渲染过程中创建、比较宿主节点时使用这个根节点的宿主环境配置
+  setCurrentHostConfig(root.hostConfig);
+  if (workInProgressRoot !== root || workInProgressRootRenderLanes !== lanes) {
+    prepareFreshStack(root, lanes);
+  }
+  try {
+    // 渲染过程中抛出错误时，回溯到错误边界后继续
+    while (true) {
+      try {
+        workLoopSync();
+        break;
+      } catch (thrownValue) {
+        handleError(thrownValue);
+      }
+    }
+  } finally {
+    executionContext = prevExecutionContext;
+  }
+  return finishRender(root);
+}
+
+/**
+ * 并发渲染根节点：每处理完一个 Fiber 节点就检查时间片是否用完，用完时让出主线程。
+ * 被打断的渲染下次会从上一次停下的 workInProgress 继续；
+ * 如果期间切换到了其他根节点，或者待处理的优先级发生了变化，则丢弃之前的进度重新开始。
+ * @param {Object} root - 根对象。
+ * @param {number} lanes - 本次渲染处理的优先级。
+ * @returns {number} - 退出状态。
+ */
+function renderRootConcurrent(root, lanes) {
+  const prevExecutionContext = executionContext;
+  executionContext |= RenderContext;
+  // 渲染过程中创建、比较宿主节点时使用这个根节点的宿主环境配置
+  setCurrentHostConfig(root.hostConfig);
+  if (workInProgressRoot !== root || workInProgressRootRenderLanes !== lanes) {
+    prepareFreshStack(root, lanes);
+  }
+  try {
+    while (true) {
+      try {
+        workLoopConcurrent();
+        break;
+      } catch (thrownValue) {
+        handleError(thrownValue);
+      }
+    }
+  } finally {
+    executionContext = prevExecutionContext;
+  }
+  if (workInProgress !== null) {
+    return RootInProgress;
+  }
+  return finishRender(root);
+}
+
+/**
+ * 处理渲染阶段抛出的错误：重置渲染过程中的状态，把错误交给最近的错误边界，
+ * 然后从出错的节点开始向上回溯，下一个处理的节点是捕获了错误的错误边界。
+ * @param {*} thrownValue - 抛出的错误。
+ */
+function handleError(thrownValue) {
+  resetContextDependencies();
+  resetHooksAfterThrow();
+  const erroredWork = workInProgress;
+  if (erroredWork === null || erroredWork.return === null) {
+    // 根节点自身出错，无法恢复，丢弃本次渲染
+    workInProgress = null;
+    workInProgressRoot = null;
+    workInProgressRootRenderLanes = NoLanes;
+    throw thrownValue;
+  }
+  const root = workInProgressRoot;
+  if (root.isDehydrated && !root.forceClientRender) {
+    // 注水过程中出错：放弃注水，整个根节点从头改为客户端渲染，错误在客户端渲染时再交给错误边界处理
+    console.error(
+      '注水过程中出现错误，整个根节点改为客户端渲染。',
+      thrownValue
+    );
+    root.forceClientRender = true;
+    prepareFreshStack(root, workInProgressRootRenderLanes);
+    return;
+  }
+  throwException(
+    erroredWork.return,
+    erroredWork,
+    thrownValue,
+    workInProgressRootRenderLanes
+  );
+  completeUnitOfWork(erroredWork);
+}
+
+/**
+ * 提交阶段（生命周期方法、ref、effect）抛出错误：找到最近的错误边界，同步调度一次携带错误的更新。
+ * 没有错误边界时由根节点捕获，卸载整棵树。
+ * @param {FiberNode} sourceFiber - 出错的节点。
+ * @param {FiberNode|null} nearestMountedAncestor - 从这个节点开始向上查找错误边界。
+ * @param {*} error - 抛出的错误。
+ */
+export function captureCommitPhaseError(
+  sourceFiber,
+  nearestMountedAncestor,
+  error
+) {
+  const errorInfo = {
+    value: error,
+    componentStack: getComponentStack(sourceFiber),
+  };
+  let fiber = nearestMountedAncestor;
+  while (fiber !== null) {
+    if (fiber.tag === HostRoot) {
+      enqueueUpdate(fiber, createRootErrorUpdate(errorInfo, SyncLane));
+      scheduleUpdateOnFiber(fiber, SyncLane);
+      return;
+    }
+    if (fiber.tag === ClassComponent && isErrorBoundary(fiber)) {
+      enqueueUpdate(fiber, createClassErrorUpdate(fiber, errorInfo, SyncLane));
+      scheduleUpdateOnFiber(fiber, SyncLane);
+      return;
+    }
+    fiber = fiber.return;
+  }
+}
+
+/**
+ * 整棵 workInProgress 树构建完成，等待提交。
+ */
+function finishRender(root) {
+  workInProgressRoot = null;
+  workInProgressRootRenderLanes = NoLanes;
+  // 构建完成的 workInProgress 根节点
+  root.finishedWork = root.current.alternate;
+  return RootCompleted;
+}
+
+// 当存在待处理的 workInProgress fiber 节点时，继续执行渲染工作
+// 当不存在待处理的 workInProgress fiber 节点时，说明渲染工作已经完成，退出循环
+function workLoopSync() {
+  while (workInProgress) {
+    performUnitOfWork(workInProgress);
+  }
+}
+
+// 与 workLoopSync 相同，但每处理完一个节点都会检查是否需要让出主线程
+function workLoopConcurrent() {
+  while (workInProgress && !shouldYield()) {
+    performUnitOfWork(workInProgress);
+  }
+}
+
+/**
+ * 处理一个 Fiber 节点（一个工作单元）：执行 beginWork，有子节点时下一个处理子节点，否则开始完成当前节点。
+ * @param {FiberNode} unitOfWork - 当前的 workInProgress fiber 节点。
+ */
+function performUnitOfWork(unitOfWork) {
+  // 获取当前 workInProgress fiber 节点对应的 current fiber 节点
+  const current = unitOfWork.alternate;
+  // 执行 beginWork 函数，处理当前 fiber 节点，返回下一个需要处理的子 fiber
+  const next = beginWork(current, unitOfWork, workInProgressRootRenderLanes);
+  // 将 pendingProps 赋值给 memoizedProps，表示属性已经处理完成
+  unitOfWork.memoizedProps = unitOfWork.pendingProps;
+  // 如果存在下一个需要处理的子 fiber
+  if (next) {
+    // 将 workInProgress 指向子 fiber，继续处理子节点
+    workInProgress = next;
+  } else {
+    // 当没有子 fiber 时，开始回溯，完成当前节点及其父节点的工作
+    completeUnitOfWork(unitOfWork);
+  }
+}
+
+/**
+ * 从下到上完成节点的工作，直到遇到有兄弟节点的节点，或者回到根节点。
+ * @param {FiberNode} unitOfWork - 没有子节点的 workInProgress fiber 节点。
+ */
+function completeUnitOfWork(unitOfWork) {
+  workInProgress = unitOfWork;
+  do {
+    if (workInProgress.flags & Incomplete) {
+      // 渲染出错的节点：不执行 completeWork，向上回溯直到捕获了错误的错误边界
+      const next = unwindWork(workInProgress);
+      if (next !== null) {
+        // 从错误边界开始重新渲染
+        next.flags &= ~Incomplete;
+        workInProgress = next;
+        return;
+      }
+      const returnFiber = workInProgress.return;
+      if (returnFiber !== null) {
+        // 父节点同样没有完成，丢弃它已经收集的子树副作用
+        returnFiber.flags |= Incomplete;
+        returnFiber.subtreeFlags = NoFlags;
+        returnFiber.deletions = null;
+      }
+      workInProgress = returnFiber;
+      continue;
+    }
+    // 执行 completeWork 函数，完成当前 fiber 节点的工作
+    completeWork(workInProgress);
+    // TODO 从左到右：如果当前 fiber 存在兄弟节点
+    if (workInProgress.sibling) {
+      // 将 workInProgress 指向兄弟节点，继续处理兄弟节点
+      workInProgress = workInProgress.sibling;
+      // TODO 跳出 do-while 循环，开始从上到下处理兄弟节点的子节点
+      return;
+    } else {
+      // TODO 从下到上：如果没有兄弟节点，将 workInProgress 指向父节点，继续回溯
+      workInProgress = workInProgress.return;
+    }
+  } while (workInProgress);
+}
+
+/**
+ * commit 阶段，根据 Fiber 树上收集的副作用更新真实 DOM。
+ * @param {Object} root - 根对象。
+ */
+function commitRoot(root) {
+  const finishedWork = root.finishedWork;
+  root.finishedWork = null;
+  setCurrentHostConfig(root.hostConfig);
+  root.callbackNode = null;
+  root.callbackPriority = NoLane;
+  // 剩下的优先级：被跳过的更新和渲染过程中新产生的更新都留在 Fiber 树上
+  root.pendingLanes = mergeLane(finishedWork.lanes, finishedWork.childLanes);
+
+  // 存在 useEffect 时，等浏览器绘制之后再异步执行
+  if (
+    (finishedWork.subtreeFlags & PassiveMask) !== NoFlags ||
+    (finishedWork.flags & PassiveMask) !== NoFlags
+  ) {
+    if (rootWithPendingPassiveEffects === null) {
+      rootWithPendingPassiveEffects = root;
+      scheduleCallback(NormalPriority, () => {
+        flushPassiveEffects();
+        return null;
+      });
+    }
+  }
+
+  const prevExecutionContext = executionContext;
+  executionContext |= CommitContext;
+  // 提交过程中（例如 useLayoutEffect、setState 的回调里）产生的更新是同步的
+  const previousUpdatePriority = getCurrentUpdatePriority();
+  setCurrentUpdatePriority(DiscreteEventPriority);
+  // DOM 更新之前，执行类组件的 getSnapshotBeforeUpdate
+  commitBeforeMutationEffects(finishedWork);
+  // 处理 Fiber 树上收集的删除、插入、移动和属性更新，更新真实 DOM
+  commitMutationEffects(finishedWork);
+  // 服务端渲染的内容已经注水（或者被客户端渲染的内容替换），之后的渲染都是普通的更新
+  root.isDehydrated = false;
+  root.forceClientRender = false;
+  // 双缓存切换：构建完成的 workInProgress 树成为新的 current 树
+  root.current = finishedWork;
+  // DOM 更新完成后，执行 useLayoutEffect 的回调、setState 的回调等
+  commitLayoutEffects(finishedWork);
+  setCurrentUpdatePriority(previousUpdatePriority);
+  executionContext = prevExecutionContext;
+
+  // 剩下的更新继续安排渲染，提交过程中产生的同步更新立即渲染
+  ensureRootIsScheduled(root);
+  flushSyncCallbacks();
+}
+
+/**
+ * 执行上一次提交遗留的 useEffect：先执行所有销毁函数，再执行所有回调。
+ * 提交之后会被异步调用；如果在此之前又开始了新的渲染，会提前同步执行。
+ * @returns {boolean} - 是否执行了 useEffect。
+ */
+export function flushPassiveEffects() {
+  const root = rootWithPendingPassiveEffects;
+  if (root === null) {
+    return false;
+  }
+  rootWithPendingPassiveEffects = null;
+  const prevExecutionContext = executionContext;
+  executionContext |= CommitContext;
+  // useEffect 中产生的更新使用默认优先级
+  const previousUpdatePriority = getCurrentUpdatePriority();
+  setCurrentUpdatePriority(DefaultEventPriority);
+  commitPassiveUnmountEffects(root.current);
+  commitPassiveMountEffects(root.current);
+  setCurrentUpdatePriority(previousUpdatePriority);
+  executionContext = prevExecutionContext;
+  // useEffect 中产生的同步更新（例如调用了 flushSync）立即渲染
+  flushSyncCallbacks();
+  return true;
+}
@@ -0,0 +1,71 @@
+// 测试渲染器的用法示例：在 Node 中渲染组件并断言渲染结果，不需要浏览器。
+// 运行：npm test（源码是没有声明 "type": "module" 的 ESM，需要 --experimental-default-type=module）
+// Node 中没有 JSX 编译，这里直接使用 createElement。
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createElement as h, useState } from '../src/react.js';
+import { act, create } from '../src/testRenderer.js';
+
+function Item({ label }) {
+  return h('li', { className: 'item' }, label);
+}
+
+let setCount = null;
+function Counter({ items }) {
+  const [count, _setCount] = useState(0);
+  setCount = _setCount;
+  return h(
+    'div',
+    { id: 'counter' },
+    h('span', null, count),
+    h(
+      'ul',
+      null,
+      items.map((label) => h(Item, { key: label, label }))
+    )
+  );
+}
+
+test('toJSON 返回渲染结果的内存树', () => {
+  const renderer = create(h(Counter, { items: ['a'] }));
+  assert.deepEqual(renderer.toJSON(), {
+    type: 'div',
+    props: { id: 'counter' },
+    children: [
+      { type: 'span', props: {}, children: ['0'] },
+      {
+        type: 'ul',
+        props: {},
+        children: [
+          { type: 'li', props: { className: 'item' }, children: ['a'] },
+        ],
+      },
+    ],
+  });
+});
+
+test('root.findByType 按组件类型或标签名查找节点', () => {
+  const renderer = create(h(Counter, { items: ['a', 'b'] }));
+  assert.equal(renderer.root.type, Counter);
+  assert.equal(renderer.root.findAllByType(Item).length, 2);
+  assert.deepEqual(renderer.root.findByType('span').children, ['0']);
+  // 找到多个时抛出错误
+  assert.throws(() => renderer.root.findByType(Item));
+});
+
+test('update 协调更新，act 中的 setState 同步渲染', () => {
+  const renderer = create(h(Counter, { items: ['a'] }));
+  act(() => setCount(5));
+  assert.deepEqual(renderer.root.findByType('span').children, ['5']);
+
+  renderer.update(h(Counter, { items: ['b', 'a'] }));
+  const labels = renderer.root
+    .findAllByType(Item)
+    .map((item) => item.props.label);
+  assert.deepEqual(labels, ['b', 'a']);
+  // 更新不会重新挂载组件，状态保留
+  assert.deepEqual(renderer.root.findByType('span').children, ['5']);
+
+  renderer.unmount();
+  assert.equal(renderer.toJSON(), null);
+});